@@ -0,0 +1,122 @@
+const axios = require('axios');
+const { getCommonHeaders } = require('./mapper');
+const { coalesce } = require('./coalesce');
+const { upstreams } = require('./config');
+
+class AniCrushError extends Error {
+    constructor(message, { url, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = url;
+        this.cause = cause;
+    }
+}
+
+// The API answered with a non-2xx status
+class AniCrushHttpError extends AniCrushError {
+    constructor(message, { status, ...options } = {}) {
+        super(message, options);
+        this.status = status;
+    }
+}
+
+// The API did not answer within the configured timeout
+class AniCrushTimeoutError extends AniCrushError {}
+
+// The API could not be reached at all
+class AniCrushNetworkError extends AniCrushError {}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toAniCrushError = (error, url) => {
+    if (error.response) {
+        return new AniCrushHttpError(`AniCrush API responded with ${ error.response.status }`, { status: error.response.status, url, cause: error });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new AniCrushTimeoutError(`AniCrush API timed out`, { url, cause: error });
+    }
+    return new AniCrushNetworkError(`Could not reach AniCrush API: ${ error.message }`, { url, cause: error });
+};
+
+const isRetryable = (error) => !(error instanceof AniCrushHttpError) || error.status >= 500;
+
+/**
+ * Client for the api.anicrush.to shared/v2 API. Requests time out, are retried with exponential backoff
+ * and jitter on 5xx and network errors, and concurrent identical requests share a single call.
+ * Methods resolve with the API's { status, result } payload and reject with an AniCrushError.
+ */
+class AniCrushClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - The API origin, ANICRUSH_API_URL or https://api.anicrush.to by default
+     * @param {number} [options.timeout=10000] - Timeout per attempt in milliseconds
+     * @param {number} [options.retries=2] - Retries after the first attempt
+     * @param {number} [options.retryDelay=300] - Base delay between retries in milliseconds
+     * @param {() => Object} [options.headers] - Produces the request headers
+     */
+    constructor({ baseUrl = upstreams.anicrushApi, timeout = 10000, retries = 2, retryDelay = 300, headers = getCommonHeaders } = {}) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeout = timeout;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.headers = headers;
+    }
+
+    async request(path, params) {
+        const url = `${ this.baseUrl }/shared/v2/${ path }`;
+        const key = params ? `${ url }?${ new URLSearchParams(params) }` : url;
+
+        return coalesce(`anicrush:${ key }`, async () => {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const { data } = await axios({
+                        method: 'GET',
+                        url,
+                        params,
+                        headers: this.headers(),
+                        timeout: this.timeout
+                    });
+                    return data;
+                } catch (error) {
+                    const aniCrushError = toAniCrushError(error, key);
+
+                    // Negated so a NaN retry count stops right away instead of retrying forever
+                    if (!(attempt < this.retries) || !isRetryable(aniCrushError)) {
+                        throw aniCrushError;
+                    }
+
+                    // Full jitter keeps retries of many clients from hitting the API in lockstep
+                    await sleep(this.retryDelay * 2 ** attempt * (0.5 + Math.random()));
+                }
+            }
+        });
+    }
+
+    search({ keyword, page = 1, limit = 50 }) {
+        return this.request('movie/list', { keyword, page, limit });
+    }
+
+    getById(movieId) {
+        return this.request(`movie/getById/${ encodeURIComponent(movieId) }`);
+    }
+
+    listEpisodes(movieId) {
+        return this.request('episode/list', { _movieId: movieId });
+    }
+
+    listServers(movieId, episode = 1) {
+        return this.request('episode/servers', { _movieId: movieId, ep: episode });
+    }
+
+    getSources(movieId, { episode = 1, server = 4, format = 'sub' } = {}) {
+        return this.request('episode/sources', { _movieId: movieId, ep: episode, sv: server, sc: format });
+    }
+}
+
+module.exports = {
+    AniCrushClient,
+    AniCrushError,
+    AniCrushHttpError,
+    AniCrushTimeoutError,
+    AniCrushNetworkError
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Seconds each api.anicrush.to endpoint stays cached, overridable with CACHE_TTL_<ENDPOINT>
+const DEFAULT_TTLS = {
+    search: 5 * 60,
+    getById: 60 * 60,
+    episodeList: 10 * 60,
+    servers: 10 * 60,
+    sources: 5 * 60
+};
+
+/**
+ * In-memory least recently used store. Entries expire individually and the least recently
+ * read entry is evicted once maxEntries is reached.
+ */
+class MemoryStore {
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        if (entry.expires <= Date.now()) {
+            return undefined;
+        }
+
+        // Re-insert so the Map order doubles as recency order
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value, ttl) {
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, { value, expires: Date.now() + ttl * 1000 });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * Filesystem store, one JSON file per key, so the cache survives restarts and can be shared
+ * between processes on the same machine.
+ */
+class FileStore {
+    constructor({ directory = path.join(os.tmpdir(), 'anicrush-cache') } = {}) {
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    filePath(key) {
+        return path.join(this.directory, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+    }
+
+    async get(key) {
+        const file = this.filePath(key);
+        const raw = await fs.promises.readFile(file, 'utf8').catch(() => null);
+        if (raw == null) {
+            return undefined;
+        }
+
+        try {
+            const entry = JSON.parse(raw);
+            if (entry.expires > Date.now()) {
+                return entry.value;
+            }
+        } catch (error) {
+            console.error(`Discarding corrupt cache file ${ file }`);
+        }
+
+        await this.delete(key);
+        return undefined;
+    }
+
+    async set(key, value, ttl) {
+        const entry = JSON.stringify({ value, expires: Date.now() + ttl * 1000 });
+        // Write then rename so a concurrent reader never sees a half written file
+        const file = this.filePath(key);
+        const temp = `${ file }.${ process.pid }.tmp`;
+        await fs.promises.writeFile(temp, entry);
+        await fs.promises.rename(temp, file);
+    }
+
+    async delete(key) {
+        await fs.promises.unlink(this.filePath(key)).catch(() => null);
+    }
+}
+
+class Cache {
+    constructor(store, ttls = DEFAULT_TTLS) {
+        this.store = store;
+        this.ttls = ttls;
+    }
+
+    /**
+     * Returns the cached value for the key, or calls the fetcher and caches its result.
+     * Failed responses ({ status: false }) are passed through without being cached.
+     *
+     * @param {string} endpoint - The endpoint name, selects the TTL
+     * @param {string} key - The cache key
+     * @param {() => Promise<*>} fetcher - Produces the value on a miss
+     * @returns {Promise<{ value: *, hit: boolean, ttl: number }>} The value, whether it came from the cache
+     *                                                              and for how many seconds it may be cached, 0 if not at all
+     */
+    async wrap(endpoint, key, fetcher) {
+        const ttl = this.ttls[endpoint] ?? 0;
+        const cacheKey = `${ endpoint }:${ key }`;
+
+        if (ttl > 0) {
+            const cached = await this.store.get(cacheKey).catch(() => undefined);
+            if (cached !== undefined) {
+                return { value: cached, hit: true, ttl };
+            }
+        }
+
+        const value = await fetcher();
+
+        if (ttl <= 0 || value == null || value.status === false) {
+            return { value, hit: false, ttl: 0 };
+        }
+
+        await this.store.set(cacheKey, value, ttl).catch(error => {
+            console.error(`Error caching ${ cacheKey }:`, error.message);
+        });
+
+        return { value, hit: false, ttl };
+    }
+}
+
+/**
+ * Creates the api.anicrush.to cache from the environment.
+ * CACHE_STORE selects 'memory' (default) or 'file', CACHE_DIR the directory of the file store,
+ * CACHE_MAX_ENTRIES the size of the memory store and CACHE_TTL_<ENDPOINT> the TTL in seconds
+ * (e.g. CACHE_TTL_EPISODELIST), where 0 disables caching of that endpoint.
+ *
+ * @returns {Cache}
+ */
+function createCache() {
+    const store = process.env.CACHE_STORE === 'file'
+        ? new FileStore({ directory: process.env.CACHE_DIR || undefined })
+        : new MemoryStore({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || undefined });
+
+    const ttls = {};
+    for (const [endpoint, ttl] of Object.entries(DEFAULT_TTLS)) {
+        const override = process.env[`CACHE_TTL_${ endpoint.toUpperCase() }`];
+        ttls[endpoint] = override != null && override !== '' ? Number(override) : ttl;
+    }
+
+    return new Cache(store, ttls);
+}
+
+module.exports = {
+    Cache,
+    MemoryStore,
+    FileStore,
+    createCache
+};
@@ -0,0 +1,26 @@
+// Promises of the calls currently in flight, per key
+const inflight = new Map();
+
+/**
+ * Runs the function once per key at a time, concurrent callers with the same key share its promise
+ * and therefore its result or error. The key is released as soon as the call settles.
+ *
+ * @param {string} key - Identifies identical calls
+ * @param {() => Promise<*>} fn - The call to de-duplicate
+ * @returns {Promise<*>} The shared result
+ */
+function coalesce(key, fn) {
+    const pending = inflight.get(key);
+    if (pending) {
+        return pending;
+    }
+
+    const promise = Promise.resolve()
+        .then(fn)
+        .finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+}
+
+module.exports = { coalesce };
@@ -0,0 +1,105 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const env = process.env;
+
+// Origins are used as prefixes, so a trailing slash would double up in joined URLs
+const origin = (value, fallback) => (value || fallback).replace(/\/+$/, '');
+
+// Structured settings are passed as JSON, a typo should stop startup rather than be ignored
+const json = (name, fallback) => {
+    if (!env[name]) {
+        return fallback;
+    }
+    try {
+        return JSON.parse(env[name]);
+    } catch (error) {
+        throw new Error(`${ name } is not valid JSON: ${ error.message }`);
+    }
+};
+
+// Counts where 0 is meaningful, anything unset or not a non-negative number falls back
+const count = (value, fallback) => {
+    const number = value ? Number(value) : NaN;
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+const flag = (value) => /^(1|true|yes|on)$/i.test(value ?? '');
+
+// Settings of the form <PREFIX><NAME>=value, by lowercased name
+const byName = (prefix, parse) => Object.fromEntries(Object.entries(env)
+    .filter(([name]) => name.startsWith(prefix))
+    .map(([name, value]) => [name.slice(prefix.length).toLowerCase(), parse(value)]));
+
+// Every upstream host this API talks to, point them at a mirror when a domain rotates
+// or at a local stand-in for integration tests
+const upstreams = {
+    anicrushApi: origin(env.ANICRUSH_API_URL, 'https://api.anicrush.to'),
+    anicrushSite: origin(env.ANICRUSH_SITE_URL, 'https://anicrush.to'),
+    megacloud: origin(env.MEGACLOUD_URL, 'https://megacloud.blog'),
+    megacloudReferrer: origin(env.MEGACLOUD_REFERRER, 'https://megacloud.club'),
+    mcApi: origin(env.MC_API_URL, 'https://mc.ofchaos.com'),
+    zenime: origin(env.ZENIME_URL, 'https://decrypt.zenime.site'),
+    megacloudKeys: env.MEGACLOUD_KEYS_URL || 'https://raw.githubusercontent.com/yogesh-hacker/MegacloudKeys/refs/heads/main/keys.json'
+};
+
+const config = {
+    upstreams,
+    // Retries of a failed AniCrush API call after the first attempt, 0 disables retrying
+    anicrushRetries: count(env.ANICRUSH_RETRIES, 2),
+    // The locally produced MegaCloud key, written through /api/write/key
+    keyFile: env.MEGACLOUD_KEY_FILE ? path.resolve(env.MEGACLOUD_KEY_FILE) : path.join(__dirname, 'megacloud.json'),
+    // Every key written or rolled back to, newest last, and how many entries are kept
+    keyHistoryFile: env.MEGACLOUD_KEY_HISTORY_FILE ? path.resolve(env.MEGACLOUD_KEY_HISTORY_FILE) : path.join(__dirname, 'megacloud-history.json'),
+    keyHistoryLimit: Number(env.MEGACLOUD_KEY_HISTORY_LIMIT) || 100,
+    // Community sources of MegaCloud keys, see sources/keyProviders.js. Lower priorities are tried first,
+    // KEY_PROVIDERS replaces the whole list, e.g. KEY_PROVIDERS=[{"name":"mine","file":"./keys.txt","parser":"text"}]
+    keyProviders: json('KEY_PROVIDERS', [
+        { name: 'yogesh', url: upstreams.megacloudKeys, parser: 'json:mega', priority: 0 },
+        // Not up to date, somewhere between v2 and v3 as of 2025-08-04
+        { name: 'esteven', url: 'https://raw.githubusercontent.com/carlosesteven/e1-player-deobf/refs/heads/main/output/key.json', parser: 'json:decryptKey', priority: 1, enabled: false },
+        // Not v3 keys, they are v2 as of 2025-07-31
+        { name: 'arion', url: 'https://justarion.github.io/keys/e1-player/src/data/keys.json', parser: 'json', priority: 2, enabled: false },
+        { name: 'lunar', url: 'https://api.lunaranime.ru/static/key.txt', parser: 'text', priority: 2, enabled: false },
+        { name: 'itzzzme', url: 'https://raw.githubusercontent.com/itzzzme/megacloud-keys/refs/heads/main/key.txt', parser: 'text', priority: 2, enabled: false },
+        { name: 'poypoy', url: 'https://raw.githubusercontent.com/poypoy252525/megacloud-keys/refs/heads/main/hianime_key.txt', parser: 'text', priority: 2, enabled: false },
+        { name: 'zuhaz', url: 'https://raw.githubusercontent.com/zuhaz/key-extractor/refs/heads/main/keys/key-1752248415.txt', parser: 'text', priority: 2, enabled: false }
+    ]),
+    // Keys failing this many decryptions in a row are skipped for keyCooldown seconds
+    keyFailureThreshold: Number(env.KEY_FAILURE_THRESHOLD) || 3,
+    keyCooldown: Number(env.KEY_COOLDOWN) || 10 * 60,
+    // Seconds a fetched provider key is used before it is refreshed in the background
+    keyProviderTtl: Number(env.KEY_PROVIDER_TTL) || 10 * 60,
+    // The episode whose embed /api/verify/keys and /api/write/key decrypt to check keys against
+    keyVerification: {
+        movieId: env.KEY_VERIFY_MOVIE_ID || 'iB9jrp',
+        episode: Number(env.KEY_VERIFY_EPISODE) || 1,
+        server: Number(env.KEY_VERIFY_SERVER) || 4,
+        format: env.KEY_VERIFY_FORMAT || 'sub'
+    },
+    // Keeps viewing activity from third parties: strategies sending embed URLs elsewhere and key providers
+    // fetching from URLs are disabled, only anicrush and MegaCloud hosts are contacted
+    privacyMode: flag(env.PRIVACY_MODE),
+    // How decryptSourcesV3 runs the strategies in sources/strategies: DECRYPT_MODE is race, sequential or local-only,
+    // DECRYPT_STRATEGIES the comma separated order, DECRYPT_TIMEOUT the milliseconds each strategy may take
+    // and DECRYPT_TIMEOUT_<NAME> that of a single strategy, e.g. DECRYPT_TIMEOUT_ZENIME=20000.
+    // DECRYPT_ENABLED_<NAME>=false turns a single strategy off, e.g. DECRYPT_ENABLED_MCAPI=false
+    decryption: {
+        mode: env.DECRYPT_MODE || 'race',
+        order: (env.DECRYPT_STRATEGIES || 'local,mcapi,zenime').split(',').map(name => name.trim()).filter(Boolean),
+        timeout: Number(env.DECRYPT_TIMEOUT) || 15000,
+        timeouts: byName('DECRYPT_TIMEOUT_', Number),
+        enabled: byName('DECRYPT_ENABLED_', flag)
+    },
+    // Worker threads running rabbit.js for the legacy embed conversions, each extracts one embed at a time.
+    // An extraction taking longer than RABBIT_TIMEOUT milliseconds terminates its worker, and once
+    // RABBIT_QUEUE_LIMIT extractions are waiting for a worker further ones are turned away with a 503
+    rabbitPoolSize: Number(env.RABBIT_POOL_SIZE) || 2,
+    rabbitTimeout: Number(env.RABBIT_TIMEOUT) || 30000,
+    rabbitQueueLimit: count(env.RABBIT_QUEUE_LIMIT, 20),
+    // Extra embed page nonce patterns, tried before the built-in ones,
+    // e.g. NONCE_EXTRACTORS=[{"name":"ab_cd","pattern":"_ab_cd=\\"(\\w+)\\"","minLength":32}]
+    nonceExtractors: json('NONCE_EXTRACTORS', [])
+};
+
+module.exports = config;
@@ -1,6 +1,6 @@
-const { spawn } = require('child_process');
 const path = require('path');
-const fs = require('fs').promises;
+const { WorkerPool } = require('./sources/workerPool');
+const { rabbitPoolSize, rabbitTimeout, rabbitQueueLimit } = require('./config');
 
 class EmbedSource {
     constructor(file, sourceType) {
@@ -31,80 +31,41 @@ class EmbedSources {
     }
 }
 
-const findRabbitScript = async () => {
-    const possiblePaths = [
-        path.join(__dirname, 'sources', 'rabbit.ts'),
-        path.join(__dirname, 'sources', 'rabbit.js'),
-        path.join(__dirname, 'rabbit.js'),
-        path.join(process.cwd(), 'rabbit.js')
-    ];
+// rabbit.js runs in worker threads, each loads the bundle once and extracts one embed at a time
+const rabbitPool = new WorkerPool({
+    script: path.join(__dirname, 'sources', 'rabbitWorker.js'),
+    size: rabbitPoolSize,
+    timeout: rabbitTimeout,
+    maxQueue: rabbitQueueLimit
+});
 
-    for (const p of possiblePaths) {
-        try {
-            await fs.access(p);
-            return p;
-        } catch (error) {
-            continue;
-        }
-    }
-    throw new Error('rabbit.js not found in any expected locations');
-};
-
-const handleEmbed = async (embedUrl, referrer) => {
-    return new Promise(async (resolve, reject) => {
-        try {
-            const rabbitPath = await findRabbitScript();
-            const childProcess = spawn('node', [
-                rabbitPath,
-                `--embed-url=${embedUrl}`,
-                `--referrer=${referrer}`
-            ]);
-
-            let outputData = '';
-            let errorData = '';
+/**
+ * Extracts the sources of an embed with rabbit.js.
+ *
+ * @param {string} embedUrl - The URL of the embed
+ * @param {string} referrer - Sent as the Referrer of rabbit.js' requests
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the extraction, e.g. once the client disconnected
+ * @returns {Promise<EmbedSources>}
+ * @throws {QueueFullError} When every worker is busy and the queue is full
+ */
+const handleEmbed = async (embedUrl, referrer, { signal } = {}) => {
+    const output = await rabbitPool.run({ embedUrl, referrer }, { signal });
 
-            childProcess.stdout.on('data', (data) => {
-                outputData += data.toString();
-            });
-
-            childProcess.stderr.on('data', (data) => {
-                errorData += data.toString();
-            });
-
-            childProcess.on('close', (code) => {
-                if (code !== 0) {
-                    reject(new Error(`Process exited with code ${code}: ${errorData}`));
-                    return;
-                }
-
-                try {
-                    const parsedOutput = JSON.parse(outputData.trim());
-                    const embedSources = new EmbedSources(
-                        parsedOutput.sources.map(s => new EmbedSource(s.file, s.type)),
-                        parsedOutput.tracks.map(t => new Track(t.file, t.label, t.kind, t.default)),
-                        parsedOutput.t,
-                        parsedOutput.server,
-                        parsedOutput.intro,
-                        parsedOutput.outro
-                    );
-                    resolve(embedSources);
-                } catch (error) {
-                    reject(error);
-                }
-            });
-
-            childProcess.on('error', (error) => {
-                reject(error);
-            });
-        } catch (error) {
-            reject(error);
-        }
-    });
+    return new EmbedSources(
+        output.sources.map(s => new EmbedSource(s.file, s.type)),
+        output.tracks.map(t => new Track(t.file, t.label, t.kind, t.default)),
+        output.t,
+        output.server,
+        output.intro,
+        output.outro
+    );
 };
 
 module.exports = {
     handleEmbed,
     EmbedSource,
     Track,
-    EmbedSources
+    EmbedSources,
+    rabbitPool
 }; 
\ No newline at end of file
@@ -1,7 +1,8 @@
 const { handleEmbed } = require('./embedHandler');
+const { QueueFullError, TaskFailedError, TaskTimeoutError } = require('./sources/workerPool');
 
-// Function to get HLS link
-async function getGenericHlsLink(embedUrl, host) {
+// Function to get HLS link, signal cancels the extraction
+async function getGenericHlsLink(embedUrl, host, { signal } = {}) {
     try {
         if (!embedUrl || !embedUrl.startsWith('http')) {
             throw new Error('Embed URL is required');
@@ -12,7 +13,7 @@ async function getGenericHlsLink(embedUrl, host) {
         }
 
         // Use rabbit.js to decode the embed URL and get sources
-        const embedSources = await handleEmbed(embedUrl, host);
+        const embedSources = await handleEmbed(embedUrl, host, { signal });
 
         if (!embedSources || !embedSources.sources || !embedSources.sources.length) {
             throw new Error('No sources found');
@@ -32,8 +33,13 @@ async function getGenericHlsLink(embedUrl, host) {
         };
 
     } catch (error) {
-        
-        if(error.message.startsWith('Process exited with code 1')) {
+        // Turned away rather than failed, the route answers with a 503
+        if (error instanceof QueueFullError) {
+            throw error;
+        }
+
+        // rabbit.js failing, crashing or hanging mostly means the embed is invalid or expired
+        if (error instanceof TaskFailedError || error instanceof TaskTimeoutError) {
             error.message = 'Could not convert from embedUrl to HLS link. Are you certain the embed url is valid and has not expired?';
         }
 
@@ -1,15 +1,17 @@
 const { getCommonHeaders } = require('./mapper');
 const { handleEmbed } = require('./embedHandler');
+const { QueueFullError } = require('./sources/workerPool');
+const { upstreams } = require('./config');
 
-// Function to get HLS link
-async function getHlsLink(embedUrl) {
+// Function to get HLS link, signal cancels the extraction
+async function getHlsLink(embedUrl, { signal } = {}) {
     try {
         if (!embedUrl) {
             throw new Error('Embed URL is required');
         }
 
         // Use rabbit.js to decode the embed URL and get sources
-        const embedSources = await handleEmbed(embedUrl, 'https://megacloud.club/');
+        const embedSources = await handleEmbed(embedUrl, `${ upstreams.megacloudReferrer }/`, { signal });
 
         if (!embedSources || !embedSources.sources || !embedSources.sources.length) {
             throw new Error('No sources found');
@@ -29,6 +31,11 @@ async function getHlsLink(embedUrl) {
         };
 
     } catch (error) {
+        // Turned away rather than failed, the route answers with a 503
+        if (error instanceof QueueFullError) {
+            throw error;
+        }
+
         console.error('Error getting HLS link:', error);
         return {
             status: false,
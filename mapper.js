@@ -1,16 +1,40 @@
 const axios = require('axios');
+const { upstreams } = require('./config');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/133.0.0.0 Safari/537.36';
 
 const getCommonHeaders = () => ({
     'Accept': 'application/json, text/plain, */*',
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/133.0.0.0 Safari/537.36',
+    'User-Agent': USER_AGENT,
     'x-site': 'anicrush',
-    'Referer': 'https://anicrush.to/',
-    'Origin': 'https://anicrush.to',
+    'Referer': `${ upstreams.anicrushSite }/`,
+    'Origin': upstreams.anicrushSite,
     'sec-fetch-site': 'same-site',
     'sec-fetch-mode': 'cors',
     'sec-fetch-dest': 'empty'
 });
 
+// MegaCloud's CDNs refuse playlists and segments without the player's Referer/Origin
+const getMegaCloudHeaders = () => ({
+    'Accept': '*/*',
+    'User-Agent': USER_AGENT,
+    'Referer': `${ upstreams.megacloud }/`,
+    'Origin': upstreams.megacloud,
+    'sec-fetch-site': 'cross-site',
+    'sec-fetch-mode': 'cors',
+    'sec-fetch-dest': 'empty'
+});
+
+const headerProfiles = {
+    anicrush: getCommonHeaders,
+    megacloud: getMegaCloudHeaders
+};
+
+const getProfileHeaders = (profile) => (headerProfiles[profile] ?? headerProfiles.megacloud)();
+
 module.exports = {
-    getCommonHeaders
-}; 
\ No newline at end of file
+    getCommonHeaders,
+    getMegaCloudHeaders,
+    getProfileHeaders,
+    headerProfiles
+};
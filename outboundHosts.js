@@ -0,0 +1,51 @@
+const { upstreams, privacyMode } = require('./config');
+const { getKeyProviders } = require('./sources/keyProviders');
+const { getEnabledStrategies } = require('./sources/strategies');
+
+const getHost = (url) => {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return url;
+    }
+};
+
+/**
+ * Lists every host this API sends requests to with the current configuration. Stream, segment and caption
+ * URLs are left out, they point at whichever CDN MegaCloud serves them from.
+ *
+ * @returns {Array<{ host: string, purpose: string }>}
+ */
+function getOutboundHosts() {
+    const hosts = [
+        { host: getHost(upstreams.anicrushApi), purpose: 'anicrush API' },
+        { host: getHost(upstreams.megacloud), purpose: 'MegaCloud embeds and getSources' }
+    ];
+
+    for (const provider of getKeyProviders()) {
+        if (provider.enabled && provider.url) {
+            hosts.push({ host: getHost(provider.url), purpose: `key provider ${ provider.name }` });
+        }
+    }
+
+    for (const strategy of getEnabledStrategies()) {
+        for (const host of strategy.hosts) {
+            hosts.push({ host: getHost(host), purpose: `decryption strategy ${ strategy.name }` });
+        }
+    }
+
+    return hosts;
+}
+
+// Logs where requests go, so a deployment can check at a glance that nothing leaks
+function logOutboundHosts() {
+    console.log(`Privacy mode is ${ privacyMode ? 'on' : 'off' }, outbound hosts:`);
+    for (const { host, purpose } of getOutboundHosts()) {
+        console.log(`  ${ host } (${ purpose })`);
+    }
+}
+
+module.exports = {
+    getOutboundHosts,
+    logOutboundHosts
+};
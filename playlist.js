@@ -0,0 +1,223 @@
+const axios = require('axios');
+const { getMegaCloudHeaders } = require('./mapper');
+
+// Tags carrying a URI="..." attribute, and what that URI points at
+const URI_TAGS = {
+    '#EXT-X-KEY': 'key',
+    '#EXT-X-SESSION-KEY': 'key',
+    '#EXT-X-MAP': 'map',
+    '#EXT-X-MEDIA': 'playlist',
+    '#EXT-X-I-FRAME-STREAM-INF': 'playlist',
+    '#EXT-X-RENDITION-REPORT': 'playlist',
+    '#EXT-X-PART': 'segment',
+    '#EXT-X-PRELOAD-HINT': 'segment'
+};
+
+const isPlaylist = (body) => typeof body === 'string' && body.trimStart().startsWith('#EXTM3U');
+
+const isPlaylistUri = (uri) => {
+    try {
+        return new URL(uri).pathname.endsWith('.m3u8');
+    } catch (error) {
+        return false;
+    }
+};
+
+const resolveUri = (uri, baseUrl) => new URL(uri, baseUrl).href;
+
+/**
+ * Rewrites every URI in an m3u8 playlist, variants, media renditions, segments, keys and maps alike.
+ * Relative URIs are resolved against the playlist URL before being handed to the mapper,
+ * so the mapper always receives an absolute URL.
+ *
+ * @param {string} body - The m3u8 playlist contents
+ * @param {string} playlistUrl - The URL the playlist was fetched from
+ * @param {(url: string, kind: 'playlist'|'segment'|'key'|'map') => string} mapUri - Produces the replacement URI
+ * @returns {string} The rewritten playlist
+ */
+function rewritePlaylist(body, playlistUrl, mapUri) {
+    let nextIsVariant = false;
+
+    return body.split(/\r?\n/).map(line => {
+        const trimmed = line.trim();
+
+        if (!trimmed) {
+            return line;
+        }
+
+        if (trimmed.startsWith('#')) {
+            const tag = trimmed.split(':')[0];
+
+            if (tag === '#EXT-X-STREAM-INF') {
+                nextIsVariant = true;
+            }
+
+            const kind = URI_TAGS[tag];
+            if (!kind) {
+                return line;
+            }
+
+            return line.replace(/URI="([^"]*)"/, (_, uri) => `URI="${ mapUri(resolveUri(uri, playlistUrl), kind) }"`);
+        }
+
+        const url = resolveUri(trimmed, playlistUrl);
+        const kind = nextIsVariant || isPlaylistUri(url) ? 'playlist' : 'segment';
+        nextIsVariant = false;
+
+        return mapUri(url, kind);
+    }).join('\n');
+}
+
+// Splits an attribute list such as BANDWIDTH=1,CODECS="a,b" while respecting quoted commas
+function parseAttributes(list) {
+    const attributes = {};
+    for (const [, name, quoted, plain] of list.matchAll(/([A-Z0-9-]+)=(?:"([^"]*)"|([^,]*))/g)) {
+        attributes[name] = quoted ?? plain;
+    }
+    return attributes;
+}
+
+/**
+ * Parses the variant streams of a master playlist.
+ *
+ * @param {string} body - The master playlist contents
+ * @param {string} playlistUrl - The URL the playlist was fetched from, used to resolve variant URIs
+ * @returns {Array<Object>} The variants ordered from highest to lowest quality, empty for media playlists
+ */
+function parseMasterPlaylist(body, playlistUrl) {
+    const variants = [];
+    const lines = body.split(/\r?\n/).map(line => line.trim());
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].startsWith('#EXT-X-STREAM-INF:')) {
+            continue;
+        }
+
+        const uri = lines.slice(i + 1).find(line => line && !line.startsWith('#'));
+        if (!uri) {
+            continue;
+        }
+
+        const attributes = parseAttributes(lines[i].slice('#EXT-X-STREAM-INF:'.length));
+        const [width, height] = (attributes['RESOLUTION'] ?? '').split('x').map(Number);
+
+        variants.push({
+            quality: height ? `${ height }p` : null,
+            resolution: attributes['RESOLUTION'] ?? null,
+            width: width || null,
+            height: height || null,
+            bandwidth: Number(attributes['BANDWIDTH']) || null,
+            averageBandwidth: Number(attributes['AVERAGE-BANDWIDTH']) || null,
+            codecs: attributes['CODECS'] ?? null,
+            frameRate: Number(attributes['FRAME-RATE']) || null,
+            url: resolveUri(uri, playlistUrl)
+        });
+    }
+
+    return variants.sort((a, b) => (b.height ?? 0) - (a.height ?? 0) || (b.bandwidth ?? 0) - (a.bandwidth ?? 0));
+}
+
+/**
+ * Fetches a playlist, following redirects.
+ *
+ * @param {string} url - The playlist URL
+ * @param {Object} [headers] - The request headers, MegaCloud's by default
+ * @returns {Promise<{ body: string, url: string }>} The playlist and the final URL it was served from
+ */
+async function fetchPlaylist(url, headers = getMegaCloudHeaders()) {
+    const { data: body, request } = await axios({
+        method: 'GET',
+        url,
+        headers,
+        responseType: 'text',
+        timeout: 15000
+    });
+
+    if (!isPlaylist(body)) {
+        throw new Error('Upstream did not return an m3u8 playlist');
+    }
+
+    return { body, url: request?.res?.responseUrl || url };
+}
+
+/**
+ * Fetches and parses the master playlist of an HLS source.
+ *
+ * @param {string} url - The master playlist URL
+ * @returns {Promise<Array<Object>>} The available qualities, see parseMasterPlaylist
+ */
+async function getQualities(url) {
+    const playlist = await fetchPlaylist(url);
+    return parseMasterPlaylist(playlist.body, playlist.url);
+}
+
+/**
+ * Adds a `qualities` array to every HLS source of a decrypted result. A master playlist that fails
+ * to load yields an empty array rather than failing the whole response.
+ *
+ * @param {Object} result - The result of decryptSourcesV3 or getHlsLink
+ * @returns {Promise<Object>} A copy of the result with qualities on its HLS sources
+ */
+async function withQualities(result) {
+    if (!Array.isArray(result?.sources)) {
+        return result;
+    }
+
+    const sources = await Promise.all(result.sources.map(async source => {
+        if (source?.type !== 'hls') {
+            return source;
+        }
+
+        const qualities = await getQualities(source.file).catch(error => {
+            console.error(`Error fetching qualities for ${ source.file }:`, error.message);
+            return [];
+        });
+
+        return { ...source, qualities };
+    }));
+
+    return { ...result, sources };
+}
+
+/**
+ * Picks a variant by quality label.
+ *
+ * @param {Array<Object>} qualities - The variants, ordered from highest to lowest quality
+ * @param {string} quality - 'best', 'worst', or a height such as '720p' or '720'
+ * @returns {Object|null} The matching variant, or null if none matches
+ */
+function selectVariant(qualities, quality) {
+    if (quality === 'best') {
+        return qualities[0] ?? null;
+    }
+    if (quality === 'worst') {
+        return qualities[qualities.length - 1] ?? null;
+    }
+
+    const height = parseInt(quality, 10);
+    return qualities.find(variant => variant.height === height) ?? null;
+}
+
+/**
+ * Fetches a media playlist with all of its URIs made absolute, so it can be served from another origin.
+ *
+ * @param {string} url - The media playlist URL
+ * @returns {Promise<string>} The playlist contents
+ */
+async function getVariantPlaylist(url) {
+    const playlist = await fetchPlaylist(url);
+    return rewritePlaylist(playlist.body, playlist.url, uri => uri);
+}
+
+module.exports = {
+    isPlaylist,
+    isPlaylistUri,
+    resolveUri,
+    rewritePlaylist,
+    fetchPlaylist,
+    parseMasterPlaylist,
+    getQualities,
+    withQualities,
+    selectVariant,
+    getVariantPlaylist
+};
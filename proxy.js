@@ -0,0 +1,193 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { getProfileHeaders } = require('./mapper');
+const { fetchPlaylist, rewritePlaylist, getVariantPlaylist } = require('./playlist');
+
+const PLAYLIST_ROUTE = '/api/proxy/playlist';
+const SEGMENT_ROUTE = '/api/proxy/segment';
+const SUBTITLE_ROUTE = '/api/subtitles';
+
+const PROXY_ROUTES = {
+    playlist: PLAYLIST_ROUTE,
+    segment: SEGMENT_ROUTE,
+    key: SEGMENT_ROUTE,
+    map: SEGMENT_ROUTE,
+    subtitle: SUBTITLE_ROUTE
+};
+
+// Default lifetime of minted proxy URLs, in seconds
+const DEFAULT_PROXY_URL_TTL = 6 * 60 * 60;
+
+// Upstream response headers worth relaying to the player
+const RELAYED_HEADERS = [
+    'content-type',
+    'content-length',
+    'content-range',
+    'content-encoding',
+    'accept-ranges',
+    'cache-control',
+    'last-modified',
+    'etag'
+];
+
+const sign = (url, profile, exp) => crypto
+    .createHmac('sha256', process.env.PROXY_SECRET)
+    .update(`${ url }\n${ profile }\n${ exp }`)
+    .digest('base64url');
+
+/**
+ * Builds the path of the proxy route that relays the given upstream URL, signed with PROXY_SECRET
+ * so the proxy only relays URLs this API issued.
+ *
+ * @param {string} url - The absolute upstream URL
+ * @param {'playlist'|'segment'|'key'|'map'|'subtitle'} kind - What the URL points at
+ * @param {string} profile - The header profile used when fetching upstream
+ * @param {number} exp - Unix timestamp in seconds after which the URL is rejected
+ * @returns {string} A root-relative proxy URL
+ */
+function buildProxyUrl(url, kind, profile, exp) {
+    const route = PROXY_ROUTES[kind] ?? SEGMENT_ROUTE;
+    const params = new URLSearchParams({ url, profile, exp, sig: sign(url, profile, exp) });
+    return `${ route }?${ params }`;
+}
+
+/**
+ * Checks the signature and expiry of a proxy request.
+ *
+ * @param {{ url: string, profile: string, exp: string, sig: string }} query - The proxy route query
+ * @returns {string|null} The reason the request is rejected, or null if it is valid
+ */
+function verifyProxyQuery({ url, profile, exp, sig }) {
+    if (!exp || !sig) {
+        return 'Missing signature';
+    }
+
+    const expected = Buffer.from(sign(url, profile, exp));
+    const actual = Buffer.from(String(sig));
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return 'Invalid signature';
+    }
+
+    if (!(Number(exp) * 1000 > Date.now())) {
+        return 'Link expired';
+    }
+
+    return null;
+}
+
+// Expiry of proxy URLs minted now, in unix seconds
+const getProxyExpiry = () => Math.floor(Date.now() / 1000) + (Number(process.env.PROXY_URL_TTL) || DEFAULT_PROXY_URL_TTL);
+
+/**
+ * Adds a signed `proxy` URL to every source and caption track of a decrypted result so browser players
+ * can stream through this API. Returns the result untouched when no PROXY_SECRET is configured.
+ *
+ * @param {Object} result - The result of decryptSourcesV3 or getHlsLink
+ * @param {string} baseUrl - The public origin of this API
+ * @returns {Object} A copy of the result with proxied sources
+ */
+function withProxyUrls(result, baseUrl) {
+    if (!process.env.PROXY_SECRET || !Array.isArray(result?.sources)) {
+        return result;
+    }
+
+    const exp = getProxyExpiry();
+
+    return {
+        ...result,
+        sources: result.sources.map(source => ({
+            ...source,
+            proxy: baseUrl + buildProxyUrl(source.file, source.type === 'hls' ? 'playlist' : 'segment', 'megacloud', exp)
+        })),
+        tracks: result.tracks?.map(track => track?.file && ['captions', 'subtitles'].includes(track.kind)
+            ? { ...track, proxy: baseUrl + buildProxyUrl(track.file, 'subtitle', 'megacloud', exp) }
+            : track)
+    };
+}
+
+/**
+ * Fetches a master or media playlist and rewrites all of its URIs to go back through the proxy.
+ * Nested URLs inherit the expiry of the playlist link, so relaying never extends a link's lifetime.
+ *
+ * @param {string} url - The upstream playlist URL
+ * @param {string} profile - The header profile used when fetching upstream
+ * @param {number} exp - Expiry of the playlist link, in unix seconds
+ * @param {string} [baseUrl=''] - Prefixed to the proxy URLs, root-relative URLs are fine when the playlist is itself proxied
+ * @returns {Promise<string>} The rewritten playlist
+ */
+async function fetchProxiedPlaylist(url, profile, exp, baseUrl = '') {
+    // Relative URIs resolve against the final URL in case the CDN redirected us
+    const playlist = await fetchPlaylist(url, getProfileHeaders(profile));
+
+    return rewritePlaylist(playlist.body, playlist.url, (uri, kind) => baseUrl + buildProxyUrl(uri, kind, profile, exp));
+}
+
+/**
+ * Fetches a media playlist to be served by this API, e.g. for a ?quality= request. Its URIs go through
+ * the proxy when PROXY_SECRET is configured, so browser players never hit the CDN directly, and are only
+ * made absolute otherwise.
+ *
+ * @param {string} url - The media playlist URL
+ * @param {string} baseUrl - The public origin of this API
+ * @returns {Promise<string>} The playlist contents
+ */
+async function fetchVariantPlaylist(url, baseUrl) {
+    if (!process.env.PROXY_SECRET) {
+        return getVariantPlaylist(url);
+    }
+    return fetchProxiedPlaylist(url, 'megacloud', getProxyExpiry(), baseUrl);
+}
+
+/**
+ * Streams a segment, key or map from upstream to the client, forwarding Range requests
+ * and relaying the upstream status so partial content keeps working.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} url - The upstream URL
+ * @param {string} profile - The header profile used when fetching upstream
+ */
+async function relaySegment(req, res, url, profile) {
+    const controller = new AbortController();
+    const headers = getProfileHeaders(profile);
+
+    if (req.headers.range) {
+        headers['Range'] = req.headers.range;
+    }
+
+    res.on('close', () => controller.abort());
+
+    const upstream = await axios({
+        method: 'GET',
+        url,
+        headers,
+        responseType: 'stream',
+        decompress: false,
+        validateStatus: () => true,
+        signal: controller.signal,
+        timeout: 30000
+    });
+
+    res.status(upstream.status);
+    for (const header of RELAYED_HEADERS) {
+        if (upstream.headers[header] != null) {
+            res.setHeader(header, upstream.headers[header]);
+        }
+    }
+
+    upstream.data.on('error', () => res.destroy());
+    upstream.data.pipe(res);
+}
+
+module.exports = {
+    PLAYLIST_ROUTE,
+    SEGMENT_ROUTE,
+    SUBTITLE_ROUTE,
+    buildProxyUrl,
+    verifyProxyQuery,
+    withProxyUrls,
+    fetchProxiedPlaylist,
+    fetchVariantPlaylist,
+    relaySegment
+};
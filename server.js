@@ -1,26 +1,144 @@
+const config = require('./config');
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
-const { getCommonHeaders } = require('./mapper');
+const { headerProfiles } = require('./mapper');
+const { AniCrushClient, AniCrushHttpError, AniCrushTimeoutError } = require('./anicrushClient');
 const { getHlsLink } = require('./hls');
 const { getGenericHlsLink } = require('./genericHls');
-const { decryptSourcesV3 } = require('./sources/getEmbedSource');
-const path = require('path');
-const fs = require('fs');
-require('dotenv').config({ path: path.join(__dirname, '.env') });
+const { decryptSourcesV3, verifyKey } = require('./sources/getEmbedSource');
+const { keyHistory } = require('./sources/keyHistory');
+const { getKeyProviders, refreshProviderKeys } = require('./sources/keyProviders');
+const { keyStats } = require('./sources/keyStats');
+const { decryptMetrics } = require('./sources/decryptMetrics');
+const { QueueFullError } = require('./sources/workerPool');
+const { getSubtitle, SUBTITLE_FORMATS } = require('./subtitles');
+const { getQualities, withQualities, selectVariant } = require('./playlist');
+const { PLAYLIST_ROUTE, SEGMENT_ROUTE, SUBTITLE_ROUTE, verifyProxyQuery, withProxyUrls, fetchProxiedPlaylist, fetchVariantPlaylist, relaySegment } = require('./proxy');
+const { createCache } = require('./cache');
+const { logOutboundHosts } = require('./outboundHosts');
 
 const app = express();
 
 const PORT = process.env.PORT;
 
+const apiCache = createCache();
+
+const anicrush = new AniCrushClient({
+    baseUrl: config.upstreams.anicrushApi,
+    timeout: Number(process.env.ANICRUSH_TIMEOUT) || undefined,
+    retries: config.anicrushRetries
+});
+
+// Cache endpoint names and the client method serving them
+const ANICRUSH_METHODS = {
+    search: 'search',
+    getById: 'getById',
+    episodeList: 'listEpisodes',
+    servers: 'listServers',
+    sources: 'getSources'
+};
+
 app.use(cors({
     origin: '*',
     methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Range'],
+    exposedHeaders: ['Content-Length', 'Content-Range', 'Accept-Ranges']
 }));
 
 app.use(express.json());
 
+// Origin used for links back to this API, PUBLIC_URL wins when running behind a reverse proxy
+const getPublicBaseUrl = (req) => process.env.PUBLIC_URL?.replace(/\/$/, '') || `${ req.protocol }://${ req.get('host') }`;
+
+// Reflects the cache state of all upstream calls made for a response, HIT only if every call was
+const markCache = (res, hit, ttl) => {
+    const previous = res.locals.cache;
+    const cache = {
+        hit: hit && (previous?.hit ?? true),
+        ttl: Math.min(ttl, previous?.ttl ?? Infinity)
+    };
+
+    res.locals.cache = cache;
+    res.set('X-Cache', cache.hit ? 'HIT' : 'MISS');
+    res.set('Cache-Control', cache.ttl > 0 ? `public, max-age=${ cache.ttl }` : 'no-store');
+};
+
+// Only AniCrush passthroughs may be cached publicly. Responses carrying decrypted or signed stream URLs
+// expire with the stream and must not be shared, whatever the upstream calls behind them allowed
+const markPrivate = (res) => {
+    res.set('Cache-Control', 'private, no-store');
+};
+
+// Failures are temporary, so responses with an error status or a { status: false } body are never cached,
+// whatever markCache set from the upstream calls made before the failure
+app.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 || body?.status === false) {
+            res.set('Cache-Control', 'no-store');
+        }
+        return json(body);
+    };
+    next();
+});
+
+// Calls the AniCrush client through the cache
+const fetchAniCrush = async (res, endpoint, ...args) => {
+    const key = JSON.stringify(args);
+    const { value, hit, ttl } = await apiCache.wrap(endpoint, key, () => anicrush[ANICRUSH_METHODS[endpoint]](...args));
+
+    markCache(res, hit, ttl);
+    return value;
+};
+
+// Upstream failures surface as gateway errors, a full extraction queue as unavailable, anything else is ours
+const getErrorStatus = (error) => {
+    if (error instanceof AniCrushTimeoutError) return 504;
+    if (error instanceof AniCrushHttpError) return error.status === 404 ? 404 : 502;
+    if (error instanceof QueueFullError) return 503;
+    return 500;
+};
+
+// Tells clients turned away by a full extraction queue when to come back
+const setRetryAfter = (res, error) => {
+    if (error instanceof QueueFullError) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+};
+
+// Aborts once the client disconnected before its response was sent, so its extraction stops
+const getDisconnectSignal = (res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+    return controller.signal;
+};
+
+// Responds with the media playlist of the requested quality of the first HLS source
+const sendVariantPlaylist = async (res, hlsData, quality, baseUrl) => {
+    const source = hlsData?.result?.sources?.find(s => s?.type === 'hls');
+
+    if (!hlsData?.status || !source) {
+        return res.status(404).json({ error: 'No HLS source found', message: hlsData?.error });
+    }
+
+    const qualities = await getQualities(source.file);
+    const variant = selectVariant(qualities, quality);
+
+    if (!variant) {
+        return res.status(404).json({
+            error: `Quality ${ quality } is not available`,
+            availableQualities: qualities.map(q => q.quality)
+        });
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.send(await fetchVariantPlaylist(variant.url, baseUrl));
+};
+
 app.head('/', async (req, res) => {
     console.error('Process env port:', process.env.PORT);
     res.status(200).end();
@@ -39,23 +157,12 @@ app.get('/api/anime/search', async (req, res) => {
             return res.status(400).json({ error: 'Search keyword is required' });
         }
 
-        const headers = getCommonHeaders();
-
-        const response = await axios({
-            method: 'GET',
-            url: `https://api.anicrush.to/shared/v2/movie/list`,
-            params: {
-                keyword,
-                page,
-                limit
-            },
-            headers
-        });
+        const data = await fetchAniCrush(res, 'search', { keyword, page, limit });
 
-        res.json(response.data);
+        res.json(data);
     } catch (error) {
         console.error('Error searching anime:', error);
-        res.status(500).json({
+        res.status(getErrorStatus(error)).json({
             error: 'Failed to search anime',
             message: error.message
         });
@@ -70,18 +177,12 @@ app.get('/api/anime/info/:movieId', async (req, res) => {
             return res.status(400).json({ error: 'Movie ID is required' });
         }
 
-        const headers = getCommonHeaders();
-
-        const response = await axios({
-            method: 'GET',
-            url: `https://api.anicrush.to/shared/v2/movie/getById/${movieId}`,
-            headers
-        });
+        const data = await fetchAniCrush(res, 'getById', movieId);
 
-        res.json(response.data);
+        res.json(data);
     } catch (error) {
         console.error('Error searching anime:', error);
-        res.status(500).json({
+        res.status(getErrorStatus(error)).json({
             error: 'Failed to search anime',
             message: error.message
         });
@@ -96,21 +197,12 @@ app.get('/api/anime/episodes', async (req, res) => {
             return res.status(400).json({ error: 'Movie ID is required' });
         }
 
-        const headers = getCommonHeaders();
-
-        const response = await axios({
-            method: 'GET',
-            url: `https://api.anicrush.to/shared/v2/episode/list`,
-            params: {
-                _movieId: movieId
-            },
-            headers
-        });
+        const data = await fetchAniCrush(res, 'episodeList', movieId);
 
-        res.json(response.data);
+        res.json(data);
     } catch (error) {
         console.error('Error fetching episode list:', error);
-        res.status(500).json({
+        res.status(getErrorStatus(error)).json({
             error: 'Failed to fetch episode list',
             message: error.message
         });
@@ -126,22 +218,12 @@ app.get('/api/anime/servers/:movieId', async (req, res) => {
             return res.status(400).json({ error: 'Movie ID is required' });
         }
 
-        const headers = getCommonHeaders();
-
-        const response = await axios({
-            method: 'GET',
-            url: `https://api.anicrush.to/shared/v2/episode/servers`,
-            params: {
-                _movieId: movieId,
-                ep: episode || 1
-            },
-            headers
-        });
+        const data = await fetchAniCrush(res, 'servers', movieId, episode || 1);
 
-        res.json(response.data);
+        res.json(data);
     } catch (error) {
         console.error('Error fetching servers:', error);
-        res.status(500).json({
+        res.status(getErrorStatus(error)).json({
             error: 'Failed to fetch servers',
             message: error.message
         });
@@ -156,51 +238,28 @@ app.get('/api/anime/sources', async (req, res) => {
             return res.status(400).json({ error: 'Movie ID is required' });
         }
 
-        const headers = getCommonHeaders();
-
-        const episodeListResponse = await axios({
-            method: 'GET',
-            url: `https://api.anicrush.to/shared/v2/episode/list`,
-            params: {
-                _movieId: movieId
-            },
-            headers
-        });
+        const episodeList = await fetchAniCrush(res, 'episodeList', movieId);
 
-        if (!episodeListResponse.data || episodeListResponse.data.status === false) {
+        if (!episodeList || episodeList.status === false) {
             return res.status(404).json({ error: 'Episode list not found' });
         }
 
-        const serversResponse = await axios({
-            method: 'GET',
-            url: `https://api.anicrush.to/shared/v2/episode/servers`,
-            params: {
-                _movieId: movieId,
-                ep: episode || 1
-            },
-            headers
-        });
+        const servers = await fetchAniCrush(res, 'servers', movieId, episode || 1);
 
-        if (!serversResponse.data || serversResponse.data.status === false) {
+        if (!servers || servers.status === false) {
             return res.status(404).json({ error: 'Servers not found' });
         }
 
-        const sourcesResponse = await axios({
-            method: 'GET',
-            url: `https://api.anicrush.to/shared/v2/episode/sources`,
-            params: {
-                _movieId: movieId,
-                ep: episode || 1,
-                sv: server || 4,
-                sc: format || 'sub'
-            },
-            headers
+        const sources = await fetchAniCrush(res, 'sources', movieId, {
+            episode: episode || 1,
+            server: server || 4,
+            format: format || 'sub'
         });
 
-        res.json(sourcesResponse.data);
+        res.json(sources);
     } catch (error) {
         console.error('Error fetching anime sources:', error);
-        res.status(500).json({
+        res.status(getErrorStatus(error)).json({
             error: 'Failed to fetch anime sources',
             message: error.message
         });
@@ -210,44 +269,123 @@ app.get('/api/anime/sources', async (req, res) => {
 app.get('/api/anime/hls/:movieId', async (req, res) => {
     try {
         const { movieId } = req.params;
-        const { episode = 1, server = 4, format = 'sub' } = req.query;
+        const { episode = 1, server = 4, format = 'sub', quality } = req.query;
 
         if (!movieId) {
             return res.status(400).json({ error: 'Movie ID is required' });
         }
 
-        const headers = getCommonHeaders();
-
-        const embedResponse = await axios({
-            method: 'GET',
-            url: `https://api.anicrush.to/shared/v2/episode/sources`,
-            params: {
-                _movieId: movieId,
-                ep: episode,
-                sv: server,
-                sc: format
-            },
-            headers
-        });
+        const embedData = await fetchAniCrush(res, 'sources', movieId, { episode, server, format });
 
-        if (!embedResponse.data || embedResponse.data.status === false) {
+        if (!embedData || embedData.status === false) {
             return res.status(404).json({ error: 'Embed link not found' });
         }
 
-        const embedUrl = embedResponse.data.result.link;
+        const embedUrl = embedData.result.link;
+
+        const hlsData = await getHlsLink(embedUrl, { signal: getDisconnectSignal(res) });
+        markPrivate(res);
+
+        if (quality) {
+            return await sendVariantPlaylist(res, hlsData, quality, getPublicBaseUrl(req));
+        }
+
+        if (hlsData?.status) {
+            hlsData.result = withProxyUrls(await withQualities(hlsData.result), getPublicBaseUrl(req));
+        }
 
-        const hlsData = await getHlsLink(embedUrl);
         res.json(hlsData);
 
     } catch (error) {
         console.error('Error fetching HLS link:', error);
-        res.status(500).json({
+        setRetryAfter(res, error);
+        res.status(getErrorStatus(error)).json({
             error: 'Failed to fetch HLS link',
             message: error.message
         });
     }
 });
 
+// Resolves a movie episode straight to playable streams in one call
+app.get('/api/anime/watch/:movieId', async (req, res) => {
+    try {
+        const { movieId } = req.params;
+        const { episode = 1, server = 4, format = 'sub' } = req.query;
+
+        if (!movieId) {
+            return res.status(400).json({ error: 'Movie ID is required' });
+        }
+
+        const serversData = await fetchAniCrush(res, 'servers', movieId, episode);
+
+        const servers = serversData?.result;
+
+        if (!serversData || serversData.status === false || servers == null) {
+            return res.status(404).json({
+                error: 'Episode not found',
+                message: `Episode ${ episode } does not exist for ${ movieId }`
+            });
+        }
+
+        // The servers are grouped per format, only validate when that grouping is present
+        const availableServers = Array.isArray(servers[format]) ? servers[format].map(s => s?.server) : null;
+
+        if (availableServers != null && !availableServers.some(s => s == server)) {
+            return res.status(404).json({
+                error: 'Server not available',
+                message: `Server ${ server } is not available for ${ format } on episode ${ episode }`,
+                availableServers
+            });
+        }
+
+        const sourcesData = await fetchAniCrush(res, 'sources', movieId, { episode, server, format });
+
+        const embedUrl = sourcesData?.result?.link;
+
+        if (!sourcesData || sourcesData.status === false || !embedUrl) {
+            return res.status(404).json({
+                error: 'Server not available',
+                message: `Server ${ server } returned no embed link for ${ format } on episode ${ episode }`
+            });
+        }
+
+        const hlsData = await decryptSourcesV3(embedUrl);
+        markPrivate(res);
+
+        if (!hlsData?.status) {
+            return res.status(502).json({
+                error: 'Decryption failed',
+                message: hlsData?.error || 'Failed to decrypt sources',
+                debug: hlsData?.debug
+            });
+        }
+
+        const result = withProxyUrls(await withQualities(hlsData.result), getPublicBaseUrl(req));
+
+        res.json({
+            status: true,
+            result: {
+                movieId,
+                episode: Number(episode),
+                format,
+                server: Number(server),
+                embedUrl,
+                sources: result.sources,
+                tracks: result.tracks ?? [],
+                intro: result.intro,
+                outro: result.outro,
+                decryptedBy: result.decryptedBy
+            }
+        });
+    } catch (error) {
+        console.error('Error resolving watch sources:', error);
+        res.status(getErrorStatus(error)).json({
+            error: 'Failed to resolve watch sources',
+            message: error.message
+        });
+    }
+});
+
 // Retained in case MegaCloud returns to a similar encryption method
 app.get('/api/anime/embed/convert', async (req, res) => {
     try {
@@ -260,12 +398,14 @@ app.get('/api/anime/embed/convert', async (req, res) => {
             return res.status(400).json({ error: 'Host is required' });
         }
 
-        const hlsData = await getGenericHlsLink(embedUrl, host);
+        const hlsData = await getGenericHlsLink(embedUrl, host, { signal: getDisconnectSignal(res) });
+        markPrivate(res);
         res.json(hlsData);
 
     } catch (error) {
         console.error('Error fetching HLS link:', error);
-        res.status(500).json({
+        setRetryAfter(res, error);
+        res.status(getErrorStatus(error)).json({
             error: 'Failed to fetch HLS link',
             message: error.message
         });
@@ -275,13 +415,23 @@ app.get('/api/anime/embed/convert', async (req, res) => {
 // 2025-06-15 - Updated decryption method
 app.get('/api/anime/embed/convert/v2', async (req, res) => {
     try {
-        const { embedUrl } = req.query;
+        const { embedUrl, quality } = req.query;
 
         if (!embedUrl || !embedUrl.startsWith('http')) {
             return res.status(400).json({ error: 'Embed URL is required' });
         }
 
         const hlsData = await decryptSourcesV3(embedUrl);
+        markPrivate(res);
+
+        if (quality) {
+            return await sendVariantPlaylist(res, hlsData, quality, getPublicBaseUrl(req));
+        }
+
+        if (hlsData?.status) {
+            hlsData.result = withProxyUrls(await withQualities(hlsData.result), getPublicBaseUrl(req));
+        }
+
         res.json(hlsData);
 
     } catch (error) {
@@ -300,45 +450,143 @@ app.get('/api/anime/embed/convert/v2', async (req, res) => {
     }
 });
 
-// 2025-07-14 - Verify functioning of the MegaCloud keys
-app.head('/api/verify/keys', async (req, res) => {
+// Validates the query of both proxy routes, returns the signed target or null after responding
+const getProxyTarget = (req, res) => {
+    const { url, profile = 'megacloud', exp, sig } = req.query;
+
+    // An empty secret would let anyone sign their own links
+    if (!process.env.PROXY_SECRET) {
+        console.error('No env variable PROXY_SECRET');
+        res.status(500).send({ status: 500, success: false, message: 'Owner fucked up, let him know' });
+        return null;
+    }
+    if (!url || !/^https?:\/\//.test(url)) {
+        res.status(400).json({ error: 'A valid url is required' });
+        return null;
+    }
+    if (!headerProfiles[profile]) {
+        res.status(400).json({ error: `Unknown header profile: ${ profile }` });
+        return null;
+    }
+
+    const rejection = verifyProxyQuery({ url, profile, exp, sig });
+    if (rejection) {
+        res.status(403).json({ error: rejection });
+        return null;
+    }
+
+    return { url, profile, exp: Number(exp) };
+};
+
+// Relays m3u8 playlists with every variant, segment, key and map rewritten to go through the proxy
+app.get(PLAYLIST_ROUTE, async (req, res) => {
+    const target = getProxyTarget(req, res);
+    if (!target) return;
+
     try {
-        if (process.env.API_KEY == null) {
-            console.error('No env variable API_KEY');
-            return res.status(500).send({ status: 500, success: false, message: 'Owner fucked up, let him know' });
-        }
+        const playlist = await fetchProxiedPlaylist(target.url, target.profile, target.exp);
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        res.send(playlist);
+    } catch (error) {
+        console.error('Error proxying playlist:', error.message);
+        res.status(error.response?.status ?? 502).json({
+            error: 'Failed to proxy playlist',
+            message: error.message
+        });
+    }
+});
+
+// Relays segment, key and map bytes with the Referer/Origin the CDN expects, Range requests included
+app.get(SEGMENT_ROUTE, async (req, res) => {
+    const target = getProxyTarget(req, res);
+    if (!target) return;
 
-        const { authorization } = req.headers;
-        if (!authorization) {
-            return res.status(401).send({ status: 401, success: false, message: 'No permissions' });
+    try {
+        await relaySegment(req, res, target.url, target.profile);
+    } catch (error) {
+        if (res.headersSent) {
+            return res.destroy();
         }
+        console.error('Error proxying segment:', error.message);
+        res.status(502).json({
+            error: 'Failed to proxy segment',
+            message: error.message
+        });
+    }
+});
 
-        const token = authorization.replace('Bearer ', '');
+// Relays caption tracks converted to WebVTT, SRT or ASS, optionally shifted by ?offset= seconds
+app.get(SUBTITLE_ROUTE, async (req, res) => {
+    const target = getProxyTarget(req, res);
+    if (!target) return;
 
-        if (process.env.API_KEY != token) {
-            return res.status(401).send({ status: 401, success: false, message: 'No permissions' });
-        }
+    const { format = 'vtt', offset = 0 } = req.query;
 
-        const headers = getCommonHeaders();
-        const { data } = await axios({
-            method: 'GET',
-            url: `https://api.anicrush.to/shared/v2/episode/sources`,
-            params: {
-                _movieId: "iB9jrp",
-                ep: 1,
-                sv: 4,
-                sc: 'sub'
-            },
-            headers
+    if (!SUBTITLE_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Format must be one of ${ SUBTITLE_FORMATS.join(', ') }` });
+    }
+    if (!Number.isFinite(Number(offset))) {
+        return res.status(400).json({ error: 'Offset must be a number of seconds' });
+    }
+
+    try {
+        const subtitle = await getSubtitle(target.url, { format, offset: Number(offset), profile: target.profile });
+        res.setHeader('Content-Type', subtitle.contentType);
+        res.send(subtitle.body);
+    } catch (error) {
+        console.error('Error converting subtitles:', error.message);
+        res.status(502).json({
+            error: 'Failed to convert subtitles',
+            message: error.message
         });
+    }
+});
+
+// Checks the bearer token against the env variable of the given name, returns false after responding
+const isAuthorized = (req, res, envName) => {
+    if (process.env[envName] == null) {
+        console.error(`No env variable ${ envName }`);
+        res.status(500).send({ status: 500, success: false, message: 'Owner fucked up, let him know' });
+        return false;
+    }
+
+    const { authorization } = req.headers;
+    const token = authorization?.replace('Bearer ', '');
 
-        const source = data?.result?.link;
+    if (!token || process.env[envName] != token) {
+        res.status(401).send({ status: 401, success: false, message: 'No permissions' });
+        return false;
+    }
+
+    return true;
+};
+
+// The embed link of the reference episode keys are checked against, or null if it is unavailable
+const getReferenceEmbedUrl = async () => {
+    const { movieId, ...options } = config.keyVerification;
+    const data = await anicrush.getSources(movieId, options);
 
-        if (data.status == false || source == null || !source.startsWith("https://megacloud.")) {
+    const source = data?.result?.link;
+    const isMegaCloud = source?.startsWith("https://megacloud.") || source?.startsWith(config.upstreams.megacloud);
+
+    return data?.status == false || source == null || !isMegaCloud ? null : source;
+};
+
+// 2025-07-14 - Verify functioning of the MegaCloud keys
+app.head('/api/verify/keys', async (req, res) => {
+    try {
+        if (!isAuthorized(req, res, 'API_KEY')) {
+            return;
+        }
+
+        const source = await getReferenceEmbedUrl();
+
+        if (source == null) {
             return res.sendStatus(500);
         }
 
-        const hlsData = await decryptSourcesV3(source);
+        // Bypass the cache, a cached result says nothing about whether the keys still work
+        const hlsData = await decryptSourcesV3(source, { cache: false });
 
         if (hlsData?.status == false || hlsData?.result == null || hlsData?.error != null) {
             return res.sendStatus(500);
@@ -373,56 +621,143 @@ app.head('/api/verify/keys', async (req, res) => {
     return res.sendStatus(200);
 });
 
-app.get('/api/write/key', async (req, res) => {
-    const rateLimit = 10 * 60 * 1000;
-    const now = Date.now();
-    const lastCall = global.lastWriteKeyCall;
-    if (lastCall && now - lastCall < rateLimit) {
-        return res.status(429).send({ status: 429, success: false, message: 'Rate limit exceeded, please try again in 10 minutes' });
-    }
-    global.lastWriteKeyCall = now;
+const WRITE_KEY_RATE_LIMIT = 10 * 60 * 1000;
 
+// Verifies a submitted key against the reference embed and records it if it decrypts
+const writeKey = async (req, res, { key, source = 'api' }) => {
     try {
-        if (process.env.API_KEY == null) {
-            console.error('No env variable API_WRITE_KEY');
-            return res.status(500).send({ status: 500, success: false, message: 'Owner fucked up, let him know' });
+        if (!isAuthorized(req, res, 'API_WRITE_KEY')) {
+            return;
         }
 
-        const { authorization } = req.headers;
-        if (!authorization) {
-            return res.status(401).send({ status: 401, success: false, message: 'No permissions' });
+        if (!key || typeof key !== 'string') {
+            return res.status(400).json({ error: 'key is required' });
         }
 
-        const token = authorization.replace('Bearer ', '');
-
-        if (process.env.API_WRITE_KEY != token) {
-            return res.status(401).send({ status: 401, success: false, message: 'No permissions' });
+        const lastCall = global.lastWriteKeyCall;
+        if (lastCall && Date.now() - lastCall < WRITE_KEY_RATE_LIMIT) {
+            return res.status(429).send({ status: 429, success: false, message: 'Rate limit exceeded, please try again in 10 minutes' });
         }
 
-        const { key } = req.query;
+        // The slot is taken before verifying so concurrent writes can't all pass the check above. Only accepted
+        // keys keep it, so a rejected key can be corrected right away
+        global.lastWriteKeyCall = Date.now();
+        let recorded = false;
 
-        if (!key) {
-            return res.status(400).json({ error: 'key is required' });
+        try {
+            if (await keyHistory.current() === key) {
+                return res.json({ status: true, result: null, message: 'Key is already in use' });
+            }
+
+            const embedUrl = await getReferenceEmbedUrl();
+            if (!embedUrl) {
+                return res.status(502).json({
+                    error: 'Key verification unavailable',
+                    message: 'The reference embed could not be resolved'
+                });
+            }
+
+            const verification = await verifyKey(key, embedUrl);
+            if (!verification.ok) {
+                console.error(`[write/key] Rejected key from ${ source }: ${ verification.error }`);
+                return res.status(422).json({
+                    error: 'Key verification failed',
+                    message: verification.error,
+                    verification
+                });
+            }
+
+            const entry = await keyHistory.record({ key, source, verification });
+            recorded = true;
+            console.log(`[write/key] Recorded key #${ entry.id } from ${ source }`);
+
+            res.json({ status: true, result: entry });
+        } finally {
+            if (!recorded) {
+                global.lastWriteKeyCall = lastCall;
+            }
         }
+    } catch (error) {
+        console.error('Error writing key:', error);
+        res.status(getErrorStatus(error)).json({
+            error: 'Failed to write key',
+            message: error.message
+        });
+    }
+};
+
+app.get('/api/write/key', (req, res) => writeKey(req, res, req.query));
 
-        const keyJson = `{ "megacloud": "${ key }" }`;
+app.post('/api/write/key', (req, res) => writeKey(req, res, req.body ?? {}));
 
-        // Write the new key if the old key is different
-        const oldKey = await fs.promises.readFile(path.join(__dirname, 'megacloud.json'), 'utf8').catch(() => null);
-        if (oldKey !== key) {
-            await fs.promises.writeFile(path.join(__dirname, 'megacloud.json'), keyJson);
+app.get('/api/admin/keys/history', async (req, res) => {
+    try {
+        if (!isAuthorized(req, res, 'API_WRITE_KEY')) {
+            return;
         }
 
+        res.json({ status: true, result: await keyHistory.list() });
     } catch (error) {
-        console.error('Error writing key:', error);
-        return res.sendStatus(500);
+        console.error('Error reading key history:', error);
+        res.status(500).json({
+            error: 'Failed to read key history',
+            message: error.message
+        });
     }
+});
 
-    return res.sendStatus(200);
+app.get('/api/admin/keys/providers', (req, res) => {
+    if (!isAuthorized(req, res, 'API_WRITE_KEY')) {
+        return;
+    }
+
+    res.json({ status: true, result: getKeyProviders() });
+});
+
+app.get('/api/admin/keys/stats', (req, res) => {
+    if (!isAuthorized(req, res, 'API_WRITE_KEY')) {
+        return;
+    }
+
+    res.json({ status: true, result: keyStats.list() });
+});
+
+app.get('/api/admin/decrypt/stats', (req, res) => {
+    if (!isAuthorized(req, res, 'API_WRITE_KEY')) {
+        return;
+    }
+
+    res.json({ status: true, result: decryptMetrics.snapshot() });
+});
+
+app.post('/api/admin/keys/rollback/:id', async (req, res) => {
+    try {
+        if (!isAuthorized(req, res, 'API_WRITE_KEY')) {
+            return;
+        }
+
+        const entry = await keyHistory.rollback(req.params.id, req.query.source || 'rollback');
+
+        if (!entry) {
+            return res.status(404).json({
+                error: 'Key not found',
+                message: `No key history entry with id ${ req.params.id }`
+            });
+        }
+
+        console.log(`[rollback] Restored key #${ entry.rollbackOf } as #${ entry.id }`);
+        res.json({ status: true, result: entry });
+    } catch (error) {
+        console.error('Error rolling back key:', error);
+        res.status(500).json({
+            error: 'Failed to roll back key',
+            message: error.message
+        });
+    }
 });
 
 app.get('/api/key', async (req, res) => {
-    res.sendFile(path.join(__dirname, 'megacloud.json'), err => { 
+    res.sendFile(config.keyFile, err => { 
         if(err) {
             res.status(500).json({ "error": "File not available" });
         }
@@ -438,6 +773,13 @@ app.get('/health', (req, res) => {
     res.json({ status: 'OK' });
 });
 
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server is running on port ${PORT}`);
+        logOutboundHosts();
+        // Fetch the provider keys up front, so the first decryption does not wait on them
+        refreshProviderKeys();
+    });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,106 @@
+// Upper bounds in milliseconds of the latency histogram buckets, slower attempts land in the last, unbounded one
+const LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+/**
+ * Counts how each decryption strategy fares: attempts by outcome, how often its sources were the ones used,
+ * and a latency histogram of its successful attempts.
+ *
+ * Outcomes are success, failure, timeout, and aborted for attempts cut short because another strategy won the race.
+ */
+class DecryptMetrics {
+    constructor(buckets = LATENCY_BUCKETS) {
+        this.buckets = buckets;
+        this.strategies = new Map();
+    }
+
+    get(name) {
+        let metrics = this.strategies.get(name);
+
+        if (!metrics) {
+            metrics = {
+                attempts: 0,
+                successes: 0,
+                failures: 0,
+                timeouts: 0,
+                aborted: 0,
+                wins: 0,
+                lastSuccessAt: null,
+                lastFailureAt: null,
+                lastError: null,
+                latency: {
+                    count: 0,
+                    sumMs: 0,
+                    buckets: new Array(this.buckets.length + 1).fill(0)
+                }
+            };
+            this.strategies.set(name, metrics);
+        }
+
+        return metrics;
+    }
+
+    /**
+     * @param {string} name - The strategy name
+     * @param {'success'|'failure'|'timeout'|'aborted'} outcome
+     * @param {number} durationMs - How long the attempt took
+     * @param {string} [error] - Why the attempt failed
+     */
+    record(name, outcome, durationMs, error) {
+        const metrics = this.get(name);
+        metrics.attempts++;
+
+        if (outcome === 'success') {
+            metrics.successes++;
+            metrics.lastSuccessAt = new Date().toISOString();
+
+            const bucket = this.buckets.findIndex(upTo => durationMs <= upTo);
+            metrics.latency.buckets[bucket === -1 ? this.buckets.length : bucket]++;
+            metrics.latency.count++;
+            metrics.latency.sumMs += durationMs;
+            return;
+        }
+
+        if (outcome === 'aborted') {
+            metrics.aborted++;
+            return;
+        }
+
+        metrics[outcome === 'timeout' ? 'timeouts' : 'failures']++;
+        metrics.lastFailureAt = new Date().toISOString();
+        metrics.lastError = error ?? null;
+    }
+
+    // The strategy's sources were the ones returned
+    recordWin(name) {
+        this.get(name).wins++;
+    }
+
+    /**
+     * @returns {Object<string, Object>} The metrics by strategy name
+     */
+    snapshot() {
+        const snapshot = {};
+
+        for (const [name, { latency, ...metrics }] of this.strategies) {
+            snapshot[name] = {
+                ...metrics,
+                latency: {
+                    count: latency.count,
+                    sumMs: latency.sumMs,
+                    averageMs: latency.count > 0 ? Math.round(latency.sumMs / latency.count) : null,
+                    buckets: latency.buckets.map((count, i) => ({ upToMs: this.buckets[i] ?? null, count }))
+                }
+            };
+        }
+
+        return snapshot;
+    }
+}
+
+const decryptMetrics = new DecryptMetrics();
+
+module.exports = {
+    DecryptMetrics,
+    decryptMetrics,
+    LATENCY_BUCKETS
+};
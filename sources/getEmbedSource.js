@@ -1,109 +1,179 @@
 const axios = require('axios');
 const { decrypt } = require('./megacloudDecrypt');
-const { itzzzmeDecrypt } = require('./itzzzmeDecrypt');
-
-async function asyncGetKeys() {
-    const resolution = await Promise.allSettled([
-        require('../megacloud.json'), // If you don't have a locally produced key, remove this line
-        fetchKey("yogesh", "https://raw.githubusercontent.com/yogesh-hacker/MegacloudKeys/refs/heads/main/keys.json"),
-        // Below key is not up to date, somewhere between v2 and v3 as of 2025-08-04
-        // fetchKey("esteven", "https://raw.githubusercontent.com/carlosesteven/e1-player-deobf/refs/heads/main/output/key.json"),
-        // Below keys are not v3 keys, they are v2 as of 2025-07-31
-        // fetchKey("arion", "https://justarion.github.io/keys/e1-player/src/data/keys.json"),
-        // fetchKey("lunar", "https://api.lunaranime.ru/static/key.txt"),
-        // fetchKey("itzzzme", "https://raw.githubusercontent.com/itzzzme/megacloud-keys/refs/heads/main/key.txt"),
-        // fetchKey("poypoy", "https://raw.githubusercontent.com/poypoy252525/megacloud-keys/refs/heads/main/hianime_key.txt"),
-        // fetchKey("zuhaz", "https://raw.githubusercontent.com/zuhaz/key-extractor/refs/heads/main/keys/key-1752248415.txt"),
-    ]);
-
-    const keys = resolution.filter(r => r.status === 'fulfilled' && r.value != null).reduce((obj, r) => {
-        let rKey = Object.keys(r.value)[0];
-        let rValue = Object.values(r.value)[0];
-        
-        if(typeof rValue === 'string') {
-            obj[rKey] = rValue.trim();
-            return obj;
+const { getMegaCloudHeaders } = require('../mapper');
+const { MemoryStore } = require('../cache');
+const { coalesce } = require('../coalesce');
+const { extractNonce, getNonceExtractors } = require('./nonceExtractors');
+const { decryptWithStrategies } = require('./strategies');
+const { upstreams } = require('../config');
+
+// Seconds a decrypted result is kept when its stream URLs carry no expiry of their own
+const DEFAULT_DECRYPT_CACHE_TTL = 10 * 60;
+// Seconds shaved off a stream's own expiry so we never hand out a link about to die
+const EXPIRY_MARGIN = 60;
+// Query parameters CDNs commonly use for the expiry of a signed stream URL
+const EXPIRY_PARAMS = ['expires', 'expire', 'expiry', 'exp', 'e', 'validto', 'valid_until'];
+// Seconds between two liveness checks of the same cached stream
+const STREAM_PROBE_INTERVAL = 60;
+
+const decryptedSourcesCache = new MemoryStore({ maxEntries: 500 });
+// Embed ids whose cached stream was checked within STREAM_PROBE_INTERVAL
+const probedStreams = new MemoryStore({ maxEntries: 500 });
+
+const getXrax = (embedUrl) => embedUrl.split('/').pop().split('?')[0];
+
+// Unix seconds, accepting values in milliseconds as well
+const toUnixSeconds = (value) => {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) return null;
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+};
+
+/**
+ * Reads the expiry of a signed stream URL from its expiry parameter, or from the exp claim
+ * of a JWT passed as a token parameter.
+ *
+ * @param {string} url - The stream URL
+ * @returns {number|null} The expiry in unix seconds, or null if the URL carries none
+ */
+function getStreamExpiry(url) {
+    let params;
+    try {
+        params = new URL(url).searchParams;
+    } catch (error) {
+        return null;
+    }
+
+    for (const [name, value] of params) {
+        if (EXPIRY_PARAMS.includes(name.toLowerCase())) {
+            const expiry = toUnixSeconds(value);
+            if (expiry && expiry > 1e9) return expiry;
         }
 
-        obj[rKey] = rValue?.mega ?? rValue.decryptKey ?? rValue?.MegaCloud?.Anime?.Key ?? rValue?.megacloud?.key ?? rValue?.key ?? rValue.megacloud.anime.key;
-        return obj;
-    }, {});
-    
-    if(keys.length === 0) {
-        throw new Error("Failed to fetch any decryption key");
+        const parts = value.split('.');
+        if (parts.length === 3) {
+            try {
+                const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+                const expiry = toUnixSeconds(payload?.exp);
+                if (expiry) return expiry;
+            } catch (error) {
+                // Not a JWT
+            }
+        }
     }
 
-    return keys;
+    return null;
 }
 
-function fetchKey(name, url, timeout = 1000) {
-    return new Promise(async (resolve) => {
-        try {
-            const { data: key } = await axios({ method: 'get', url: url, timeout: timeout });
-            resolve({ [name]: key})
-        } catch (error) {
-            resolve(null);
-        }
-    });
+/**
+ * Seconds a decrypted result may be cached, bounded by the earliest expiring stream URL.
+ *
+ * @param {Array<Object>} sources - The decrypted sources
+ * @returns {number} The TTL, DECRYPT_CACHE_TTL when no stream URL carries an expiry
+ */
+function getCacheTtl(sources) {
+    const fallback = Number(process.env.DECRYPT_CACHE_TTL ?? DEFAULT_DECRYPT_CACHE_TTL);
+    const expiries = sources.map(source => getStreamExpiry(source.file)).filter(expiry => expiry != null);
+
+    if (expiries.length <= 0) {
+        return fallback;
+    }
+
+    return Math.min(...expiries) - Math.floor(Date.now() / 1000) - EXPIRY_MARGIN;
 }
 
-async function getDecryptedSourceV3(encrypted, nonce) {
-    let decrypted = null;
-    const keys = await asyncGetKeys();
+// A cached stream is dead once its CDN stops serving the first source
+async function isStreamAlive(sources) {
+    try {
+        const response = await axios.head(sources[0].file, {
+            headers: getMegaCloudHeaders(),
+            timeout: 3000,
+            validateStatus: () => true
+        });
+        return response.status < 400;
+    } catch (error) {
+        return false;
+    }
+}
 
-    for(let key in keys) {
-        try {
-            if (!encrypted) {
-                console.log("Encrypted source missing in response")
-                return null;
-            }
+// Checks a cached stream off the request path and drops it once dead, so the next call decrypts again
+async function probeCachedStream(xrax, sources) {
+    if (await probedStreams.get(xrax)) {
+        return;
+    }
+    await probedStreams.set(xrax, true, STREAM_PROBE_INTERVAL);
 
-            decrypted = decrypt(keys[key], nonce, encrypted);
+    if (!(await isStreamAlive(sources))) {
+        console.log(`[decryptSources] Cached stream for ${ xrax } is dead, dropping it`);
+        await decryptedSourcesCache.delete(xrax);
+    }
+}
 
-            if(!Array.isArray(decrypted) || decrypted.length <= 0) {
-                // Failed to decrypt source
-                continue;
-            }
+/**
+ * Decrypts the sources of an embed, reusing an earlier result for the same embed id until its stream
+ * URLs expire (DECRYPT_CACHE_TTL seconds when they carry no expiry, 0 disables the cache).
+ * Cache hits are served right away while their stream is checked against the CDN in the background,
+ * at most once per STREAM_PROBE_INTERVAL, and a dead stream is decrypted anew on the next call.
+ * Concurrent calls for the same embed URL share a single lookup and decryption.
+ *
+ * @param {string} embedUrl - The URL containing the embed source to be decrypted.
+ * @param {Object} [options]
+ * @param {boolean} [options.cache=true] - Whether a cached result may be returned
+ * @returns {Promise<Object>} - An object with status indicating success or failure, and result or error message.
+ */
+async function decryptSourcesV3(embedUrl, { cache = true } = {}) {
+    const decrypted = await coalesce(`decrypt:${ cache }:${ embedUrl }`, () => getDecryptedSources(embedUrl, cache));
 
-            for(let source of decrypted) {
-                if(source != null && source?.file?.startsWith('https://')) {
-                    // Malformed decrypted source
-                    continue;
-                }
-            }
+    // Every caller gets its own copy, so replacing its result never touches the cache or other callers
+    return { ...decrypted };
+}
+
+async function getDecryptedSources(embedUrl, cache) {
+    const xrax = getXrax(embedUrl);
+    const cached = cache ? await decryptedSourcesCache.get(xrax) : undefined;
+
+    if (cached) {
+        probeCachedStream(xrax, cached.result.sources).catch(error => {
+            console.error(`[decryptSources] Could not check the cached stream for ${ xrax }:`, error.message);
+        });
+        return cached;
+    }
 
-            console.log("Functioning key:", key);
-            return decrypted;
+    const decrypted = await fetchDecryptedSources(embedUrl);
 
-        } catch(error) {
-            console.error('Error:', error);
-            console.error(`[${ new Date().toLocaleString() }] Key did not work: ${ key }`);
-            continue;
+    if (decrypted.status) {
+        const ttl = getCacheTtl(decrypted.result.sources);
+        if (ttl > 0) {
+            await decryptedSourcesCache.set(xrax, decrypted, ttl);
         }
     }
 
-    return null;
+    return decrypted;
 }
 
 /**
  * Decrypts the sources from a given embed URL by fetching the encryption key and raw source data.
  * The function first extracts the identifier from the embed URL, then retrieves the encryption key
- * and encrypted source data using HTTP GET requests. It decrypts the source data using AES decryption
- * and parses it as JSON. Returns an object indicating the status and result, including sources, tracks,
+ * and encrypted source data using HTTP GET requests. Encrypted source data is handed to the decryption
+ * strategies configured in sources/strategies. Returns an object indicating the status and result, including sources, tracks,
  * intro, outro, and server data if successful. Logs an error and returns a failure status if any step fails.
  *
  * @param {string} embedUrl - The URL containing the embed source to be decrypted.
  * @returns {Promise<Object>} - An object with status indicating success or failure, and result or error message.
  */
-async function decryptSourcesV3(embedUrl) {
-    const localDecryptServer = "https://mc.ofchaos.com/api?url=";
-    const xraxParams = embedUrl.split('/').pop();
-    const xrax = xraxParams.includes('?') ? xraxParams.split('?')[0] : xraxParams;
-    const nonce = await getNonce(embedUrl);
+async function fetchDecryptedSources(embedUrl) {
+    const xrax = getXrax(embedUrl);
     let decryptedSources = null;
+    let decryptedBy = null;
+    let nonceExtractor = null;
 
     try {
-        const { data: rawSourceData } = await axios.get(`https://megacloud.blog/embed-2/v3/e-1/getSources?id=${ xrax }&_k=${ nonce }`);
+        const { nonce, extractor } = await getNonce(embedUrl);
+        nonceExtractor = extractor;
+
+        if (!nonce) throw new Error("Could not extract nonce from embed page");
+
+        const { data: rawSourceData } = await axios.get(`${ upstreams.megacloud }/embed-2/v3/e-1/getSources?id=${ xrax }&_k=${ nonce }`);
         const encrypted = rawSourceData?.sources;
 
         if(rawSourceData?.encrypted == false) {
@@ -111,38 +181,9 @@ async function decryptSourcesV3(embedUrl) {
         }
 
         if(decryptedSources == null) {
-            // Race fullfillment of methods, we don't care about the order of execution, just the result
-            const resolvedSources = await Promise.any([
-                // Original decryption method, no longer works, might fix at a later date
-                new Promise(async(resolve, reject) => {
-                    const result = await getDecryptedSourceV3(encrypted, nonce);
-                    if(!result) reject(null);
-                    resolve(result);
-                }),
-                // Fallback option 1, local fastapi server - thanks to https://github.com/carlosesteven/MC_API which isbased on https://github.com/cvznseoiuelsuirvse/megacloudpy
-                new Promise(async(resolve, reject) => {
-                    const { data: result } = await axios.get(`${ localDecryptServer }${ embedUrl }`);
-                    if(!result?.sources) reject(null);
-                    resolve(result?.sources);
-                }),
-                // Fallback option 2, itzzzme/zenime
-                new Promise(async(resolve, reject) => {
-                    const result = await itzzzmeDecrypt(embedUrl);
-                    if(!result) reject(null);
-                    resolve(result);
-                })
-            ]);
-
-            if(!Array.isArray(resolvedSources) || resolvedSources.length <= 0) throw new Error("Failed to decrypt source");
-
-            decryptedSources = [];
-            for(let source of resolvedSources) {
-                if(source != null && source?.file?.startsWith('https://')) {
-                    decryptedSources.push(source);
-                }
-            }
-            
-            if(decryptedSources.length <= 0) throw new Error("Failed to decrypt source properly, malformed source");
+            const decrypted = await decryptWithStrategies({ embedUrl, encrypted, nonce });
+            decryptedSources = decrypted.sources;
+            decryptedBy = decrypted.strategy;
         }
 
         return {
@@ -152,70 +193,88 @@ async function decryptSourcesV3(embedUrl) {
                 tracks: rawSourceData.tracks,
                 intro: rawSourceData.intro ?? null,
                 outro: rawSourceData.outro ?? null,
-                server: rawSourceData.server ?? null
-            }
+                server: rawSourceData.server ?? null,
+                // The strategy that decrypted the sources, null if getSources served them unencrypted
+                decryptedBy
+            },
+            debug: { nonceExtractor }
         }
     } catch (error) {
         console.error(`[ERROR][decryptSources] Error decrypting ${ embedUrl }:`, error);
         return {
             status: false,
-            error: error?.message || 'Failed to get HLS link'
+            error: error?.message || 'Failed to get HLS link',
+            debug: { nonceExtractor }
         };
     }
 }
 
 /**
- * Tries to extract the MegaCloud nonce from the given embed URL.
- * 
- * Fetches the HTML of the page, and tries to extract the nonce from it.
- * If that fails, it sends a request with the "x-requested-with" header set to "XMLHttpRequest"
- * and tries to extract the nonce from that HTML.
- * 
- * If all else fails, it logs the HTML of both requests and returns null.
- * 
- * @param {string} embedUrl The URL of the MegaCloud embed
- * @returns {string|null} The extracted nonce, or null if it couldn't be found
+ * Checks a single key by decrypting the sources of an embed with it, without touching the keys in use.
+ * The key passes if it yields at least one source with an https:// file.
+ *
+ * @param {string} key - The candidate key
+ * @param {string} embedUrl - The URL of an embed whose sources are encrypted
+ * @returns {Promise<Object>} A report { ok, embedUrl, checkedAt, nonceExtractor, sources, error },
+ *                            where sources is the number of valid sources the key produced
  */
-async function getNonce(embedUrl) {
-    const res = await fetch(embedUrl, { headers: { "referer": "https://anicrush.to/", "x-requested-with": "XMLHttpRequest" } });
-    const html = await res.text();
+async function verifyKey(key, embedUrl) {
+    const report = {
+        ok: false,
+        embedUrl,
+        checkedAt: new Date().toISOString(),
+        nonceExtractor: null,
+        sources: 0,
+        error: null
+    };
 
-    const match0 = html.match(/\<meta[\s\S]*?name="_gg_fb"[\s\S]*?content="([\s\S]*?)">/);
-    if(match0?.[1]) {
-        return match0[1];
-    }
-    
-    const match1 = html.match(/_is_th:(\S*?)\s/);
-    if(match1?.[1]) {
-        return match1[1];
-    }
+    try {
+        const { nonce, extractor } = await getNonce(embedUrl);
+        report.nonceExtractor = extractor;
 
-    const match2 = html.match(/data-dpi="([\s\S]*?)"/);
-    if(match2?.[1]) {
-        return match2[1];
-    }
+        if (!nonce) throw new Error("Could not extract nonce from embed page");
 
-    const match3 = html.match(/_lk_db[\s]?=[\s\S]*?x:[\s]"([\S]*?)"[\s\S]*?y:[\s]"([\S]*?)"[\s\S]*?z:[\s]"([\S]*?)"/);
-    if(match3?.[1] && match3?.[2] && match3?.[3]) {
-        return "" + match3[1] + match3[2] + match3[3];
-    }
+        const { data: rawSourceData } = await axios.get(`${ upstreams.megacloud }/embed-2/v3/e-1/getSources?id=${ getXrax(embedUrl) }&_k=${ nonce }`);
 
-    const match4 = html.match(/nonce="([\s\S]*?)"/);
-    if(match4?.[1]) {
-        if(match4[1].length >= 32) return match4[1];
-    }
+        if (rawSourceData?.encrypted == false) throw new Error("Reference embed is not encrypted, the key cannot be verified");
+        if (typeof rawSourceData?.sources !== 'string') throw new Error("Reference embed returned no encrypted sources");
+
+        const decrypted = decrypt(key, nonce, rawSourceData.sources);
+
+        if (!Array.isArray(decrypted) || decrypted.length <= 0) throw new Error("Key did not decrypt the reference sources");
+
+        report.sources = decrypted.filter(source => source?.file?.startsWith('https://')).length;
 
-    const match5 = html.match(/_xy_ws = "(\S*?)"/);
-    if(match5?.[1]) {
-        return match5[1];
+        if (report.sources <= 0) throw new Error("Key decrypted the reference sources, but none has an https:// file");
+
+        report.ok = true;
+    } catch (error) {
+        report.error = error.message;
     }
 
-    const match6 = html.match(/[a-zA-Z0-9]{48}]/);
-    if(match6?.[1]) {
-        return match6[1];
+    return report;
+}
+
+/**
+ * Fetches the MegaCloud embed page and extracts the nonce getSources expects from it.
+ *
+ * @param {string} embedUrl The URL of the MegaCloud embed
+ * @returns {Promise<{ nonce: string|null, extractor: string|null }>} The nonce and the name of the extractor
+ *                                                                    that found it, both null if none did
+ */
+async function getNonce(embedUrl) {
+    const res = await fetch(embedUrl, { headers: { "referer": `${ upstreams.anicrushSite }/`, "x-requested-with": "XMLHttpRequest" } });
+    const html = await res.text();
+
+    const extracted = extractNonce(html);
+
+    if (extracted.extractor) {
+        console.log(`[getNonce] Nonce for ${ getXrax(embedUrl) } found by ${ extracted.extractor }`);
+    } else {
+        console.error(`[getNonce] No nonce extractor matched ${ embedUrl } (tried ${ getNonceExtractors().join(', ') })`);
     }
 
-    return null;
+    return extracted;
 }
 
-module.exports = { decryptSourcesV3 };
\ No newline at end of file
+module.exports = { decryptSourcesV3, getStreamExpiry, getCacheTtl, verifyKey };
\ No newline at end of file
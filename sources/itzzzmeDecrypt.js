@@ -1,10 +1,12 @@
 // Fallback method 1, itzzzme/zenime
+const { upstreams } = require('../config');
 
-async function itzzzmeDecrypt(embedUrl) {
+// signal cancels the request, which otherwise gives up after 10 seconds
+async function itzzzmeDecrypt(embedUrl, { signal = AbortSignal.timeout(10000) } = {}) {
     try {
         // It takes it with the ?z= param, but not consistently, hence the need to remove it and replace it with the expected value for this api service
         const embedUrlWithoutParams = embedUrl.split('?')[0];
-        const response = await fetch(`https://decrypt.zenime.site/extract?embed_url=${embedUrlWithoutParams}?k=1&autoPlay=0&oa=0&asi=1`, { timeout: 10000 });
+        const response = await fetch(`${ upstreams.zenime }/extract?embed_url=${embedUrlWithoutParams}?k=1&autoPlay=0&oa=0&asi=1`, { signal });
         if (!response.ok) {
             throw new Error('Failed to connect to server');
         }
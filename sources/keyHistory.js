@@ -0,0 +1,118 @@
+const fs = require('fs');
+const { keyStore: defaultKeyStore } = require('./keyStore');
+const { keyHistoryFile, keyHistoryLimit } = require('../config');
+
+// Name of the key in the key file that /api/write/key manages
+const KEY_NAME = 'megacloud';
+
+/**
+ * History of the locally produced MegaCloud key. Every key written through /api/write/key is recorded
+ * with when it was written, by whom and how it verified, so a bad key can be rolled back to a known good one.
+ * Only the newest `limit` entries are kept.
+ *
+ * An entry looks like { id, key, timestamp, source, verification, rollbackOf }, where verification is
+ * null for keys that were never verified and rollbackOf the id of the entry a rollback restored.
+ */
+class KeyHistory {
+    constructor({ file = keyHistoryFile, keyStore = defaultKeyStore, limit = keyHistoryLimit } = {}) {
+        this.file = file;
+        this.keyStore = keyStore;
+        this.limit = limit;
+        // Writes are chained so concurrent calls never read the same history and drop each other's entry
+        this.pending = Promise.resolve();
+    }
+
+    async read() {
+        const raw = await fs.promises.readFile(this.file, 'utf8').catch(() => null);
+        if (raw == null) {
+            return [];
+        }
+
+        try {
+            const entries = JSON.parse(raw);
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.error(`[keyHistory] Discarding corrupt history file ${ this.file }`);
+            return [];
+        }
+    }
+
+    async save(entries) {
+        const temp = `${ this.file }.${ process.pid }.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(entries.slice(-this.limit), null, 4));
+        await fs.promises.rename(temp, this.file);
+    }
+
+    serialize(task) {
+        const result = this.pending.then(task);
+        this.pending = result.catch(() => null);
+        return result;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} The entries, newest first
+     */
+    async list() {
+        return (await this.read()).reverse();
+    }
+
+    /**
+     * @returns {Promise<string|null>} The key currently in the key file
+     */
+    async current() {
+        return (await this.keyStore.getKeys())[KEY_NAME] ?? null;
+    }
+
+    /**
+     * Writes a key to the key file and records it.
+     *
+     * @param {Object} write
+     * @param {string} write.key - The new key
+     * @param {string} write.source - Who or what produced the key
+     * @param {Object|null} [write.verification=null] - The result of verifying the key
+     * @param {number} [write.rollbackOf] - The id of the entry being restored
+     * @returns {Promise<Object>} The new entry
+     */
+    record({ key, source, verification = null, rollbackOf }) {
+        return this.serialize(async () => {
+            const entries = await this.read();
+            const entry = {
+                id: (entries[entries.length - 1]?.id ?? 0) + 1,
+                key,
+                timestamp: new Date().toISOString(),
+                source,
+                verification,
+                ...(rollbackOf != null && { rollbackOf })
+            };
+
+            // The key file may hold keys of other embeds as well, only ours is replaced
+            await this.keyStore.write({ ...await this.keyStore.getKeys(), [KEY_NAME]: key });
+            await this.save([...entries, entry]);
+
+            return entry;
+        });
+    }
+
+    /**
+     * Restores the key of an earlier entry, recording the rollback as a new entry.
+     *
+     * @param {number} id - The id of the entry to restore
+     * @param {string} [source='rollback'] - Who requested the rollback
+     * @returns {Promise<Object|null>} The new entry, or null if there is no entry with that id
+     */
+    async rollback(id, source = 'rollback') {
+        const target = (await this.read()).find(entry => entry.id === Number(id));
+        if (!target) {
+            return null;
+        }
+
+        return this.record({ key: target.key, source, verification: target.verification, rollbackOf: target.id });
+    }
+}
+
+const keyHistory = new KeyHistory();
+
+module.exports = {
+    KeyHistory,
+    keyHistory
+};
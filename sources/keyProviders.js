@@ -0,0 +1,232 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { coalesce } = require('../coalesce');
+const { keyProviders: configuredProviders, keyProviderTtl, privacyMode } = require('../config');
+
+// Paths tried by the json parser, in the order the formats were seen in the wild
+const KNOWN_KEY_PATHS = ['mega', 'decryptKey', 'MegaCloud.Anime.Key', 'megacloud.key', 'key', 'megacloud.anime.key'];
+
+// Seconds before a provider whose fetch failed is tried again
+const FAILED_FETCH_RETRY = 30;
+
+const getPath = (data, keyPath) => keyPath.split('.').reduce((value, property) => value?.[property], data);
+
+/**
+ * Parsers turning the body a provider serves into a key:
+ * - text: the whole body is the key
+ * - json: the first of the known key properties present in a JSON body
+ * - json:<path>: the property at a dotted path of a JSON body, e.g. json:MegaCloud.Anime.Key
+ */
+const KEY_PARSERS = {
+    text: (body) => body,
+    json: (body) => {
+        const data = JSON.parse(body);
+        for (const keyPath of KNOWN_KEY_PATHS) {
+            const key = getPath(data, keyPath);
+            if (typeof key === 'string') return key;
+        }
+        return null;
+    }
+};
+
+function getParser(name) {
+    if (KEY_PARSERS[name]) {
+        return KEY_PARSERS[name];
+    }
+    if (name?.startsWith('json:')) {
+        const keyPath = name.slice('json:'.length);
+        return (body) => getPath(JSON.parse(body), keyPath);
+    }
+    throw new Error(`Unknown key parser: ${ name }`);
+}
+
+/**
+ * Normalizes a provider declaration.
+ *
+ * @param {Object} declaration
+ * @param {string} declaration.name - Names the key, the first provider of a name wins
+ * @param {string} [declaration.url] - Where the key is fetched from
+ * @param {string} [declaration.file] - A local file to read the key from instead, relative to the working directory
+ * @param {string} [declaration.parser='json'] - See KEY_PARSERS
+ * @param {number} [declaration.timeout=5000] - Milliseconds a fetch may take
+ * @param {number} [declaration.ttl] - Seconds a fetched key is used before it is refreshed, KEY_PROVIDER_TTL by default
+ * @param {number} [declaration.priority=0] - Providers with lower priorities are tried first
+ * @param {boolean} [declaration.enabled=true]
+ * @param {Object} [options]
+ * @param {boolean} [options.privacy] - Whether privacy mode is on, which disables providers fetching from a URL
+ * @returns {Object} The provider
+ */
+function createProvider({ name, url, file, parser = 'json', timeout = 5000, ttl = keyProviderTtl, priority = 0, enabled = true }, { privacy = privacyMode } = {}) {
+    if (!name) {
+        throw new Error('A key provider needs a name');
+    }
+    if (!url === !file) {
+        throw new Error(`Key provider ${ name } needs either a url or a file`);
+    }
+
+    return {
+        name,
+        url: url ?? null,
+        file: file ? path.resolve(file) : null,
+        parser,
+        parse: getParser(parser),
+        timeout,
+        ttl,
+        priority,
+        enabled: enabled && !(privacy && url),
+        // The last good key, when it was fetched and when a fetch last failed
+        key: null,
+        fetchedAt: null,
+        failedAt: null,
+        status: {
+            lastFetchAt: null,
+            lastSuccessAt: null,
+            ok: null,
+            error: null,
+            durationMs: null
+        }
+    };
+}
+
+const providers = configuredProviders
+    .map(declaration => createProvider(declaration))
+    // Array#sort is stable, so providers of the same priority keep their declared order
+    .sort((a, b) => a.priority - b.priority);
+
+async function readBody(provider) {
+    if (provider.file) {
+        return fs.promises.readFile(provider.file, 'utf8');
+    }
+
+    const { data } = await axios({
+        method: 'get',
+        url: provider.url,
+        timeout: provider.timeout,
+        responseType: 'text',
+        // Parsing is up to the provider's parser
+        transformResponse: [data => data]
+    });
+    return data;
+}
+
+async function fetchProviderKey(provider) {
+    const startedAt = Date.now();
+    provider.status.lastFetchAt = new Date(startedAt).toISOString();
+
+    try {
+        const key = provider.parse(await readBody(provider));
+
+        if (typeof key !== 'string' || !key.trim()) {
+            throw new Error(`Parser ${ provider.parser } found no key`);
+        }
+
+        provider.status.ok = true;
+        provider.status.error = null;
+        provider.status.lastSuccessAt = new Date().toISOString();
+        return key.trim();
+    } catch (error) {
+        provider.status.ok = false;
+        provider.status.error = error.message;
+        return null;
+    } finally {
+        provider.status.durationMs = Date.now() - startedAt;
+    }
+}
+
+/**
+ * Fetches the key of a provider again. A failed fetch keeps the last good key,
+ * concurrent refreshes of the same provider share a single fetch.
+ *
+ * @param {Object} provider
+ * @returns {Promise<string|null>} The provider's key after the refresh
+ */
+function refreshProviderKey(provider) {
+    return coalesce(`keyProvider:${ provider.name }`, async () => {
+        const key = await fetchProviderKey(provider);
+        if (key != null) {
+            provider.key = key;
+            provider.fetchedAt = Date.now();
+            provider.failedAt = null;
+        } else {
+            provider.failedAt = Date.now();
+        }
+        return provider.key;
+    });
+}
+
+// A key is refreshed once older than the provider's TTL, a failed fetch is retried after FAILED_FETCH_RETRY
+function isRefreshDue(provider) {
+    const now = Date.now();
+    if (provider.failedAt != null && now - provider.failedAt < FAILED_FETCH_RETRY * 1000) {
+        return false;
+    }
+    return provider.fetchedAt == null || now - provider.fetchedAt > provider.ttl * 1000;
+}
+
+/**
+ * Returns the cached key of a provider right away, fetching it in the background when it is missing
+ * or older than the provider's TTL. A provider that has not served a key yet returns null meanwhile.
+ *
+ * @param {Object} provider
+ * @returns {Promise<string|null>} The key, or null if the provider never served one
+ */
+async function getProviderKey(provider) {
+    if (isRefreshDue(provider)) {
+        refreshProviderKey(provider);
+    }
+
+    return provider.key;
+}
+
+/**
+ * Collects the keys of every enabled provider. Providers without a key are left out,
+ * why their fetch failed is recorded in their status.
+ *
+ * @param {Array<Object>} [list] - The providers, those declared in config by default
+ * @returns {Promise<Object<string, string>>} The keys by provider name, in priority order
+ */
+async function getProviderKeys(list = providers) {
+    const enabled = list.filter(provider => provider.enabled);
+    const keys = await Promise.all(enabled.map(getProviderKey));
+
+    return enabled.reduce((obj, provider, i) => {
+        if (keys[i] != null && obj[provider.name] == null) {
+            obj[provider.name] = keys[i];
+        }
+        return obj;
+    }, {});
+}
+
+/**
+ * Fetches the keys of every enabled provider and waits for them, e.g. on startup so the first
+ * decryption finds them in place.
+ *
+ * @param {Array<Object>} [list] - The providers, those declared in config by default
+ * @returns {Promise<Object<string, string>>} The keys by provider name, in priority order
+ */
+async function refreshProviderKeys(list = providers) {
+    await Promise.all(list.filter(provider => provider.enabled).map(refreshProviderKey));
+    return getProviderKeys(list);
+}
+
+/**
+ * @returns {Array<Object>} Every provider with its settings and the status of its last fetch, in priority order
+ */
+function getKeyProviders() {
+    return providers.map(({ parse, key, fetchedAt, failedAt, status, ...provider }) => ({
+        ...provider,
+        status: { ...status, hasKey: key != null }
+    }));
+}
+
+module.exports = {
+    KEY_PARSERS,
+    createProvider,
+    fetchProviderKey,
+    refreshProviderKey,
+    getProviderKey,
+    getProviderKeys,
+    refreshProviderKeys,
+    getKeyProviders
+};
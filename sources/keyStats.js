@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { keyFailureThreshold, keyCooldown } = require('../config');
+
+// Identifies a key value without exposing it, so stats reset when a provider starts serving a new key
+const fingerprint = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+
+/**
+ * Tracks how every MegaCloud key fares when decrypting. Keys are ordered by their last success, so the key
+ * that worked most recently is tried first, and a key that failed failureThreshold times in a row is skipped
+ * until its cooldown ends.
+ */
+class KeyStats {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.failureThreshold] - Consecutive failures that start a cooldown
+     * @param {number} [options.cooldown] - Seconds a failing key is skipped
+     */
+    constructor({ failureThreshold = keyFailureThreshold, cooldown = keyCooldown } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldown = cooldown;
+        this.stats = new Map();
+    }
+
+    get(name, key) {
+        const id = fingerprint(key);
+        let stats = this.stats.get(name);
+
+        if (!stats || stats.fingerprint !== id) {
+            stats = {
+                name,
+                fingerprint: id,
+                successes: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                lastSuccessAt: null,
+                lastFailureAt: null,
+                lastError: null,
+                coolingDownUntil: null
+            };
+            this.stats.set(name, stats);
+        }
+
+        return stats;
+    }
+
+    isCoolingDown(stats) {
+        return stats.coolingDownUntil != null && Date.parse(stats.coolingDownUntil) > Date.now();
+    }
+
+    /**
+     * Orders keys for a decryption attempt.
+     *
+     * @param {Object<string, string>} keys - The keys by name
+     * @returns {Array<[string, string]>} The names and keys to try, most recently successful first,
+     *                                    without the keys that are cooling down
+     */
+    order(keys) {
+        return Object.entries(keys)
+            .filter(([name, key]) => !this.isCoolingDown(this.get(name, key)))
+            // Array#sort is stable, so keys that never succeeded keep their given order
+            .sort(([a, aKey], [b, bKey]) => (this.get(b, bKey).lastSuccessAt ?? '').localeCompare(this.get(a, aKey).lastSuccessAt ?? ''));
+    }
+
+    recordSuccess(name, key) {
+        const stats = this.get(name, key);
+        stats.successes++;
+        stats.consecutiveFailures = 0;
+        stats.coolingDownUntil = null;
+        stats.lastSuccessAt = new Date().toISOString();
+    }
+
+    recordFailure(name, key, error) {
+        const stats = this.get(name, key);
+        stats.failures++;
+        stats.consecutiveFailures++;
+        stats.lastFailureAt = new Date().toISOString();
+        stats.lastError = error;
+
+        if (stats.consecutiveFailures >= this.failureThreshold) {
+            stats.coolingDownUntil = new Date(Date.now() + this.cooldown * 1000).toISOString();
+            console.warn(`[keyStats] Key ${ name } failed ${ stats.consecutiveFailures } times in a row, skipping it until ${ stats.coolingDownUntil }`);
+        }
+    }
+
+    /**
+     * @returns {Array<Object>} The stats of every key seen so far
+     */
+    list() {
+        return [...this.stats.values()].map(stats => ({ ...stats, coolingDown: this.isCoolingDown(stats) }));
+    }
+}
+
+const keyStats = new KeyStats();
+
+module.exports = {
+    KeyStats,
+    keyStats
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const { keyFile } = require('../config');
+
+/**
+ * Checks that a parsed key file maps key names to non-empty key strings.
+ *
+ * @param {*} data - The parsed key file
+ * @returns {Object<string, string>} The keys, trimmed
+ */
+function validateKeys(data) {
+    if (data == null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Key file must contain a JSON object');
+    }
+
+    const keys = {};
+    for (const [name, key] of Object.entries(data)) {
+        if (typeof key !== 'string' || !key.trim()) {
+            throw new Error(`Key ${ name } must be a non-empty string`);
+        }
+        keys[name] = key.trim();
+    }
+
+    if (Object.keys(keys).length <= 0) {
+        throw new Error('Key file contains no keys');
+    }
+
+    return keys;
+}
+
+/**
+ * The locally produced MegaCloud keys, e.g. { "megacloud": "..." }. The file is stat'ed on every read
+ * and parsed again whenever its mtime or size changed, so a key written through /api/write/key is used
+ * by the next decryption. A file that fails to parse or validate is logged and the previous keys are kept,
+ * a missing file means there are no local keys.
+ */
+class KeyStore {
+    constructor(file) {
+        this.file = file;
+        this.keys = {};
+        this.version = null;
+    }
+
+    /**
+     * @returns {Promise<Object<string, string>>} The current keys by name
+     */
+    async getKeys() {
+        let stats;
+        try {
+            stats = await fs.promises.stat(this.file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[keyStore] Could not stat ${ this.file }:`, error.message);
+                return { ...this.keys };
+            }
+            this.keys = {};
+            this.version = null;
+            return {};
+        }
+
+        const version = `${ stats.mtimeMs }:${ stats.size }`;
+        if (version !== this.version) {
+            // Remember the version even if it is invalid, so a broken file is reported once rather than on every read
+            this.version = version;
+            await this.reload();
+        }
+
+        return { ...this.keys };
+    }
+
+    /**
+     * Replaces the key file. The file is written next to the old one and renamed over it,
+     * so a concurrent read never sees a half written file.
+     *
+     * @param {Object<string, string>} keys - The keys by name
+     * @returns {Promise<Object<string, string>>} The keys as written
+     */
+    async write(keys) {
+        const validated = validateKeys(keys);
+        const temp = `${ this.file }.${ process.pid }.tmp`;
+
+        await fs.promises.writeFile(temp, JSON.stringify(validated, null, 4));
+        await fs.promises.rename(temp, this.file);
+
+        // A rewrite within the same millisecond and of the same size would otherwise go unnoticed
+        this.version = null;
+
+        return validated;
+    }
+
+    async reload() {
+        try {
+            const raw = await fs.promises.readFile(this.file, 'utf8');
+            this.keys = validateKeys(JSON.parse(raw));
+            console.log(`[keyStore] Loaded ${ Object.keys(this.keys).join(', ') } from ${ this.file }`);
+        } catch (error) {
+            console.error(`[keyStore] Ignoring invalid key file ${ this.file }, keeping the previous keys:`, error.message);
+        }
+    }
+}
+
+const keyStore = new KeyStore(keyFile);
+
+module.exports = {
+    KeyStore,
+    keyStore,
+    validateKeys
+};
@@ -60,6 +60,21 @@ function computeKey(secret, nonce) {
         .join('');
 }
 
+/**
+ * Creates the linear congruential generator both the charset shuffle and the character
+ * substitution draw from, seeded with a hash of the passphrase.
+ * @param {string} passphrase - The passphrase the seed is derived from.
+ * @returns {(upperLimit: number) => number} Returns the next number in [0, upperLimit).
+ */
+function createRandomNumberGenerator(passphrase) {
+    let seed = [...passphrase].reduce((acc, char) => (acc * 31n + BigInt(char.charCodeAt(0))) & 0xffffffffn, 0n);
+
+    return (upperLimit) => {
+        seed = (seed * 1103515245n + 12345n) & 0x7fffffffn;
+        return Number(seed % BigInt(upperLimit));
+    };
+}
+
 /**
  * Encrypts a given text using a columnar transposition cipher with a given key.
  * The function arranges the text into a grid of columns and rows determined by the key length,
@@ -89,6 +104,36 @@ function columnarCipher(text, key) {
     return grid.flat().join('');
 }
 
+/**
+ * Reverses columnarCipher, so that columnarCipher(columnarDecipher(text, key), key) === text.
+ * The position every character is read from is found by running the cipher over character indices.
+ *
+ * @param {string} text - The text as produced by columnarCipher.
+ * @param {string} key - The key that determines the order of columns in the grid.
+ * @returns {string} The text columnarCipher has to be given to produce `text`.
+ */
+function columnarDecipher(text, key) {
+    const columns = key.length;
+    const rows = Math.ceil(text.length / columns);
+
+    const grid = Array.from({ length: rows }, () => Array(columns).fill(-1));
+    const columnOrder = [...key]
+        .map((char, idx) => ({ char, idx }))
+        .sort((a, b) => a.char.charCodeAt(0) - b.char.charCodeAt(0));
+
+    let i = 0;
+    for (const { idx } of columnOrder) {
+        for (let row = 0; row < rows; row++) {
+            grid[row][idx] = i < text.length ? i++ : -1;
+        }
+    }
+
+    const result = Array(text.length);
+    grid.flat().filter(position => position !== -1).forEach((position, k) => (result[position] = text[k]));
+
+    return result.join('');
+}
+
 /**
  * Deterministically unshuffles an array of characters based on a given key phrase.
  * The function simulates a pseudo-random shuffling using a numeric seed derived
@@ -100,12 +145,7 @@ function columnarCipher(text, key) {
  * @returns {Array} A new array representing the deterministically unshuffled characters.
  */
 function deterministicUnshuffle(characters, keyPhrase) {
-    let seed = [...keyPhrase].reduce((acc, char) => (acc * 31n + BigInt(char.charCodeAt(0))) & 0xffffffffn, 0n);
-
-    const randomNumberGenerator = (upperLimit) => {
-        seed = (seed * 1103515245n + 12345n) & 0x7fffffffn;
-        return Number(seed % BigInt(upperLimit));
-    };
+    const randomNumberGenerator = createRandomNumberGenerator(keyPhrase);
 
     const shuffledCharacters = characters.slice();
     for (let i = shuffledCharacters.length - 1; i > 0; i--) {
@@ -135,11 +175,7 @@ function decrypt(secretKey, nonce, encryptedText, rounds = 3) {
     for (let round = rounds; round >= 1; round--) {
         const encryptionPassphrase = keyPhrase + round;
 
-        let seed = [...encryptionPassphrase].reduce((acc, char) => (acc * 31n + BigInt(char.charCodeAt(0))) & 0xffffffffn, 0n);
-        const randomNumberGenerator = (upperLimit) => {
-            seed = (seed * 1103515245n + 12345n) & 0x7fffffffn;
-            return Number(seed % BigInt(upperLimit));
-        };
+        const randomNumberGenerator = createRandomNumberGenerator(encryptionPassphrase);
 
         decryptedText = [...decryptedText]
             .map(char => {
@@ -184,4 +220,56 @@ function decrypt(secretKey, nonce, encryptedText, rounds = 3) {
     }
 }
 
-module.exports = { decrypt };
\ No newline at end of file
+/**
+ * Encrypts data so that decrypt(secretKey, nonce, encrypt(secretKey, nonce, data)) returns it again.
+ * Runs the rounds of decrypt backwards: the text is prefixed with its zero padded length, then each round
+ * shuffles the character set, reverses the columnar transposition and substitutes characters, from round 1 up.
+ * Meant for building known-good ciphertexts, e.g. test fixtures.
+ *
+ * @param {string} secretKey - The key used to encrypt the text.
+ * @param {string} nonce - A nonce for additional input to the encryption key.
+ * @param {Object|string} data - The sources object, or an already serialized string.
+ * @param {number} [rounds=3] - The number of encryption rounds to perform.
+ * @returns {string} The encrypted text, encoded in base64.
+ */
+function encrypt(secretKey, nonce, data, rounds = 3) {
+    const plainText = typeof data === 'string' ? data : JSON.stringify(data);
+    if (plainText.length > 9999) {
+        throw new Error('Text is too long for the 4 digit length prefix');
+    }
+
+    let encryptedText = String(plainText.length).padStart(4, '0') + plainText;
+    const keyPhrase = computeKey(secretKey, nonce);
+
+    for (let round = 1; round <= rounds; round++) {
+        const encryptionPassphrase = keyPhrase + round;
+
+        const shuffledCharset = deterministicUnshuffle(CHARSET, encryptionPassphrase);
+        const mappingArr = {};
+        CHARSET.forEach((c, i) => (mappingArr[c] = shuffledCharset[i]));
+        encryptedText = [...encryptedText].map(char => mappingArr[char] || char).join('');
+
+        encryptedText = columnarDecipher(encryptedText, encryptionPassphrase);
+
+        const randomNumberGenerator = createRandomNumberGenerator(encryptionPassphrase);
+        encryptedText = [...encryptedText]
+            .map(char => {
+                const charIndex = CHARSET.indexOf(char);
+                if (charIndex === -1) return char;
+                const offset = randomNumberGenerator(95);
+                return CHARSET[(charIndex + offset) % 95];
+            })
+            .join('');
+    }
+
+    return Buffer.from(encryptedText, 'utf-8').toString('base64');
+}
+
+module.exports = {
+    decrypt,
+    encrypt,
+    computeKey,
+    columnarCipher,
+    columnarDecipher,
+    deterministicUnshuffle
+};
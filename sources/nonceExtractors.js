@@ -0,0 +1,101 @@
+const { nonceExtractors: configuredExtractors } = require('../config');
+
+/**
+ * Known places MegaCloud embed pages have hidden the getSources nonce in, tried in order.
+ * The nonce is the concatenation of every capture group, or the whole match for patterns without groups.
+ * Matches shorter than minLength are ignored.
+ */
+const BUILTIN_EXTRACTORS = [
+    { name: 'meta_gg_fb', pattern: /<meta[\s\S]*?name="_gg_fb"[\s\S]*?content="([\s\S]*?)">/ },
+    { name: 'is_th', pattern: /_is_th:(\S*?)\s/ },
+    { name: 'data_dpi', pattern: /data-dpi="([\s\S]*?)"/ },
+    // Split over three properties of a window._lk_db object
+    { name: 'lk_db', pattern: /_lk_db[\s]?=[\s\S]*?x:[\s]"([\S]*?)"[\s\S]*?y:[\s]"([\S]*?)"[\s\S]*?z:[\s]"([\S]*?)"/ },
+    { name: 'nonce_attribute', pattern: /nonce="([\s\S]*?)"/, minLength: 32 },
+    { name: 'xy_ws', pattern: /_xy_ws = "(\S*?)"/ },
+    // Last resort, any bare 48 character token
+    { name: 'token_48', pattern: /\b[a-zA-Z0-9]{48}\b/ }
+];
+
+const registry = [];
+
+/**
+ * Adds a nonce extractor to the registry.
+ *
+ * @param {Object} extractor
+ * @param {string} extractor.name - Reported in logs and the debug field when it matches
+ * @param {RegExp|string} extractor.pattern - The pattern, strings are compiled with extractor.flags
+ * @param {string} [extractor.flags]
+ * @param {number} [extractor.minLength=1] - Shorter matches are ignored
+ * @param {Object} [options]
+ * @param {boolean} [options.first=false] - Whether to try it before the registered extractors instead of after
+ */
+function registerNonceExtractor({ name, pattern, flags, minLength = 1 }, { first = false } = {}) {
+    if (!name || !pattern) {
+        throw new Error('A nonce extractor needs a name and a pattern');
+    }
+    if (registry.some(extractor => extractor.name === name)) {
+        throw new Error(`A nonce extractor named ${ name } is already registered`);
+    }
+
+    const extractor = {
+        name,
+        pattern: pattern instanceof RegExp ? pattern : new RegExp(pattern, flags),
+        minLength
+    };
+
+    if (first) {
+        registry.unshift(extractor);
+    } else {
+        registry.push(extractor);
+    }
+}
+
+/**
+ * @returns {string[]} The names of the registered extractors, in the order they are tried
+ */
+function getNonceExtractors() {
+    return registry.map(extractor => extractor.name);
+}
+
+function runExtractor({ pattern, minLength }, html) {
+    const match = html.match(pattern);
+    if (!match) {
+        return null;
+    }
+
+    const nonce = match.length > 1 ? match.slice(1).join('') : match[0];
+    return nonce && nonce.length >= minLength ? nonce : null;
+}
+
+/**
+ * Extracts the MegaCloud nonce from the HTML of an embed page with the first extractor that matches.
+ *
+ * @param {string} html - The embed page
+ * @returns {{ nonce: string|null, extractor: string|null }} The nonce and the name of the extractor
+ *                                                            that found it, both null if none did
+ */
+function extractNonce(html) {
+    for (const extractor of registry) {
+        const nonce = runExtractor(extractor, html);
+        if (nonce) {
+            return { nonce, extractor: extractor.name };
+        }
+    }
+
+    return { nonce: null, extractor: null };
+}
+
+// Configured extractors target page variants newer than the built-in ones, so they go first
+for (const extractor of configuredExtractors) {
+    registerNonceExtractor(extractor);
+}
+for (const extractor of BUILTIN_EXTRACTORS) {
+    registerNonceExtractor(extractor);
+}
+
+module.exports = {
+    extractNonce,
+    registerNonceExtractor,
+    getNonceExtractors
+};
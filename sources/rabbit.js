@@ -57292,19 +57292,8 @@ var crypto_1 = require("crypto");
 var crypto = crypto_1.webcrypto;
 var wasm;
 var arr = new Array(128).fill(void 0);
-var dateNow = Date.now();
 var content;
-var cmd_args = require_minimist()(process.argv.slice(2));
-var referrer = cmd_args["referrer"];
-var embed_url = cmd_args["embed-url"];
-if (!embed_url) {
-  console.error("Please provide embed-url");
-  process.exit(1);
-}
-if (!referrer) {
-  console.error("Please provide referrer");
-  process.exit(1);
-}
+var referrer;
 function isDetached(buffer) {
   if (buffer.byteLength === 0) {
     var formatted = util.format(buffer);
@@ -57332,43 +57321,46 @@ var canvas = {
   },
   context2d: {}
 };
-var fake_window = {
-  localStorage: {
-    setItem: function(item, value) {
-      fake_window.localStorage[item] = value;
-    }
-  },
-  navigator: {
-    webdriver: false,
-    userAgent: user_agent
-  },
-  length: 0,
-  document: {
-    cookie: ""
-  },
-  origin: "",
-  location: {
-    href: "",
-    origin: ""
-  },
-  performance: {
-    timeOrigin: dateNow
-  },
-  xrax: "",
-  c: false,
-  G: "",
-  z: function(a) {
-    return [
-      (4278190080 & a) >> 24,
-      (16711680 & a) >> 16,
-      (65280 & a) >> 8,
-      255 & a
-    ];
-  },
-  crypto,
-  msCrypto: crypto,
-  browser_version: 1676800512
-};
+function createFakeWindow() {
+  return {
+    localStorage: {
+      setItem: function(item, value) {
+        fake_window.localStorage[item] = value;
+      }
+    },
+    navigator: {
+      webdriver: false,
+      userAgent: user_agent
+    },
+    length: 0,
+    document: {
+      cookie: ""
+    },
+    origin: "",
+    location: {
+      href: "",
+      origin: ""
+    },
+    performance: {
+      timeOrigin: Date.now()
+    },
+    xrax: "",
+    c: false,
+    G: "",
+    z: function(a) {
+      return [
+        (4278190080 & a) >> 24,
+        (16711680 & a) >> 16,
+        (65280 & a) >> 8,
+        255 & a
+      ];
+    },
+    crypto,
+    msCrypto: crypto,
+    browser_version: 1676800512
+  };
+}
+var fake_window = createFakeWindow();
 var nodeList = {
   image: {
     src: "",
@@ -57873,6 +57865,67 @@ function loadWasm(url) {
     });
   });
 }
+// Compiled WASM and decoded pixels by asset URL, so per embed host and ?v= version, shared by every run of a process.
+// Only the most recently used ASSET_CACHE_LIMIT URLs are kept, hosts and versions rotate over time
+var ASSET_CACHE_LIMIT = 8;
+var wasmCache = /* @__PURE__ */ new Map();
+var pixelsCache = /* @__PURE__ */ new Map();
+function cached(cache, url, load) {
+  var entry = cache.get(url);
+  if (entry) {
+    // Re-inserted so the Map order doubles as recency order
+    cache.delete(url);
+    cache.set(url, entry);
+    return entry;
+  }
+  entry = load(url).catch(function(error) {
+    if (cache.get(url) === entry) {
+      cache.delete(url);
+    }
+    throw error;
+  });
+  cache.set(url, entry);
+  if (cache.size > ASSET_CACHE_LIMIT) {
+    cache.delete(cache.keys().next().value);
+  }
+  return entry;
+}
+function compileWasm(url) {
+  return fetch(url).then(function(resp) {
+    return resp.arrayBuffer();
+  }).then(function(bytes) {
+    return WebAssembly.compile(bytes).then(function(module2) {
+      return { module: module2, bytes };
+    });
+  });
+}
+function instantiateWasm(url) {
+  return cached(wasmCache, url, compileWasm).then(function(compiled) {
+    assignWasm(new WebAssembly.Instance(compiled.module, initWasm()));
+    return compiled.bytes.slice(0);
+  });
+}
+function loadPixels(url) {
+  return cached(pixelsCache, url, function(url2) {
+    // image-pixels would otherwise keep every decoded image for good
+    return pixels(url2, { cache: false });
+  });
+}
+// Each run gets a fresh WASM instance, heap and fake window, nothing carries over from the previous embed
+function resetState() {
+  wasm = void 0;
+  memoryBuff = null;
+  dataView = null;
+  arr = new Array(128).fill(void 0);
+  arr.push(void 0, null, true, false);
+  pointer = arr.length;
+  size = 0;
+  fake_window = createFakeWindow();
+  meta.content = void 0;
+  image_data.data = new Uint8ClampedArray();
+  canvas.baseUrl = "";
+  nodeList.image.src = "";
+}
 var grootLoader = {
   groot: function() {
     wasm.groot();
@@ -57885,7 +57938,7 @@ var V = function(url) {
     return __generator(this, function(_a) {
       switch (_a.label) {
         case 0:
-          return [4, wasmLoader(url)];
+          return [4, instantiateWasm(url)];
         case 1:
           Q0 = _a.sent();
           fake_window.bytes = Q0;
@@ -57956,12 +58009,15 @@ var main = function(embed_url2, referrer2) {
     return __generator(this, function(_b) {
       switch (_b.label) {
         case 0:
+          resetState();
+          referrer = referrer2;
           xrax = embed_url2.split("/").pop().split("?").shift();
-          regx = /https:\/\/[a-zA-Z0-9.]*/;
+          // http and ports are for local stand-ins of the embed host
+          regx = /https?:\/\/[a-zA-Z0-9.:-]*/;
           base_url = embed_url2.match(regx)[0];
           nodeList.image.src = base_url + "/images/image.png?v=0.0.9";
           _a = Uint8ClampedArray.bind;
-          return [4, pixels(nodeList.image.src)];
+          return [4, loadPixels(nodeList.image.src)];
         case 1:
           data = new (_a.apply(Uint8ClampedArray, [void 0, _b.sent().data]))();
           image_data.data = data;
@@ -58005,16 +58061,30 @@ var main = function(embed_url2, referrer2) {
           str = btoa(String.fromCharCode.apply(null, new Uint8Array(Q8)));
           decrypted_sources = M(temp_sources.sources, str);
           temp_sources.sources = decrypted_sources;
-          console.log(JSON.stringify(temp_sources, null, 2));
-          return [
-            2
-            /*return*/
-          ];
+          return [2, temp_sources];
       }
     });
   });
 };
-main(embed_url, referrer);
+exports.main = main;
+// For tests, the fake window of the current or last run
+exports.getFakeWindow = function() {
+  return fake_window;
+};
+if (require.main === module) {
+  var cmd_args = require_minimist()(process.argv.slice(2));
+  if (!cmd_args["embed-url"]) {
+    console.error("Please provide embed-url");
+    process.exit(1);
+  }
+  if (!cmd_args["referrer"]) {
+    console.error("Please provide referrer");
+    process.exit(1);
+  }
+  main(cmd_args["embed-url"], cmd_args["referrer"]).then(function(sources) {
+    console.log(JSON.stringify(sources, null, 2));
+  });
+}
 /*! Bundled license information:
 
 object-assign/index.js:
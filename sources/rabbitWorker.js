@@ -0,0 +1,13 @@
+const { parentPort } = require('worker_threads');
+// Loading the bundle and its WASM glue is the expensive part, so it happens once per worker
+const { main } = require('./rabbit');
+
+// Runs one extraction per message, see WorkerPool
+parentPort.on('message', async ({ id, payload: { embedUrl, referrer } }) => {
+    try {
+        const result = await main(embedUrl, referrer);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error?.message || String(error) });
+    }
+});
@@ -0,0 +1,209 @@
+const { decryptMetrics } = require('../decryptMetrics');
+const { decryption, privacyMode } = require('../../config');
+
+/**
+ * Decryption strategies, each turning a MegaCloud embed into its sources:
+ * {
+ *     name: string,
+ *     hosts: string[],
+ *     canHandle: (embedUrl: string) => boolean,
+ *     decrypt: ({ embedUrl, encrypted, nonce, signal }) => Promise<Array<Object>>
+ * }
+ * where hosts are the third-party hosts the strategy sends embed URLs to, encrypted and nonce come from the embed's getSources, and signal aborts once the strategy timed out
+ * or lost the race. decrypt rejects when the strategy could not produce sources.
+ */
+const strategies = new Map();
+
+// Modes the strategies can be run in
+const MODES = ['race', 'sequential', 'local-only'];
+
+/**
+ * Adds a strategy, so it can be named in DECRYPT_STRATEGIES.
+ *
+ * @param {Object} strategy
+ */
+function registerStrategy(strategy) {
+    if (!strategy?.name || !Array.isArray(strategy.hosts) || typeof strategy.canHandle !== 'function' || typeof strategy.decrypt !== 'function') {
+        throw new Error('A decryption strategy needs a name, hosts, canHandle and decrypt');
+    }
+    if (strategies.has(strategy.name)) {
+        throw new Error(`A decryption strategy named ${ strategy.name } is already registered`);
+    }
+    strategies.set(strategy.name, strategy);
+}
+
+/**
+ * Whether a strategy may run at all, it is not turned off with DECRYPT_ENABLED_<NAME>
+ * and does not send embed URLs to a third party while in privacy mode.
+ *
+ * @param {Object} strategy
+ * @param {Object} [options]
+ * @param {Object<string, boolean>} [options.enabled] - Toggles by strategy name
+ * @param {boolean} [options.privacy] - Whether privacy mode is on
+ * @returns {boolean}
+ */
+function isStrategyEnabled(strategy, { enabled = decryption.enabled, privacy = privacyMode } = {}) {
+    if (enabled[strategy.name] === false) {
+        return false;
+    }
+    return !(privacy && strategy.hosts?.length > 0);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {'race'|'sequential'|'local-only'} [options.mode] - DECRYPT_MODE by default, local-only only runs local
+ * @param {string[]} [options.order] - Strategy names, DECRYPT_STRATEGIES by default
+ * @param {Object<string, boolean>} [options.enabled] - See isStrategyEnabled
+ * @param {boolean} [options.privacy] - See isStrategyEnabled
+ * @returns {Array<Object>} The strategies that may run in the mode, in order
+ */
+function getEnabledStrategies({ mode = decryption.mode, order = decryption.order, ...toggles } = {}) {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown decryption mode: ${ mode }`);
+    }
+
+    const names = mode === 'local-only' ? ['local'] : order;
+
+    return names.map(name => {
+        const strategy = strategies.get(name);
+        if (!strategy) {
+            throw new Error(`Unknown decryption strategy: ${ name }`);
+        }
+        return strategy;
+    }).filter(strategy => isStrategyEnabled(strategy, toggles));
+}
+
+/**
+ * @param {string} embedUrl - The URL of the MegaCloud embed
+ * @param {Object} [options] - See decryptWithStrategies and getEnabledStrategies
+ * @returns {Array<Object>} The strategies that will be tried for the embed, in order
+ */
+function getStrategies(embedUrl, options = {}) {
+    return getEnabledStrategies(options).filter(strategy => strategy.canHandle(embedUrl));
+}
+
+// The strategy took longer than its timeout
+class StrategyTimeoutError extends Error {}
+
+// Another strategy won the race first
+class StrategyAbortedError extends Error {}
+
+// Runs a single strategy, rejecting once it takes longer than its timeout, is aborted or returns no usable source
+async function runStrategy(strategy, context, timeout, signal) {
+    const controller = new AbortController();
+    let timer;
+    let abort;
+
+    const stopped = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new StrategyTimeoutError(`Timed out after ${ timeout }ms`));
+        }, timeout);
+
+        abort = () => {
+            controller.abort();
+            reject(new StrategyAbortedError('Aborted, another strategy won'));
+        };
+        signal?.addEventListener('abort', abort);
+    });
+
+    try {
+        const sources = await Promise.race([strategy.decrypt({ ...context, signal: controller.signal }), stopped]);
+
+        if (!Array.isArray(sources) || sources.length <= 0) throw new Error("Failed to decrypt source");
+
+        const valid = sources.filter(source => source != null && source?.file?.startsWith('https://'));
+        if (valid.length <= 0) throw new Error("Failed to decrypt source properly, malformed source");
+
+        return valid;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+    }
+}
+
+const getOutcome = (error) => {
+    if (error instanceof StrategyTimeoutError) return 'timeout';
+    if (error instanceof StrategyAbortedError) return 'aborted';
+    return 'failure';
+};
+
+/**
+ * Decrypts the sources of an embed with the configured strategies. In race mode all of them run at once
+ * and the first to produce sources wins, in sequential mode they are tried one after the other,
+ * and local-only mode only tries the local keys.
+ *
+ * @param {Object} context
+ * @param {string} context.embedUrl - The URL of the MegaCloud embed
+ * @param {string} context.encrypted - The encrypted sources of getSources
+ * @param {string} context.nonce - The nonce getSources was called with
+ * @param {Object} [options]
+ * @param {'race'|'sequential'|'local-only'} [options.mode] - DECRYPT_MODE by default
+ * @param {string[]} [options.order] - Strategy names, DECRYPT_STRATEGIES by default
+ * @param {Object<string, number>} [options.timeouts] - Milliseconds per strategy name
+ * @param {Object<string, boolean>} [options.enabled] - Toggles by strategy name, see isStrategyEnabled
+ * @param {boolean} [options.privacy] - Whether privacy mode is on, see isStrategyEnabled
+ * @param {number} [options.timeout] - Milliseconds for strategies without a timeout of their own
+ * @returns {Promise<{ sources: Array<Object>, strategy: string }>} The sources and the name of the strategy that produced them
+ */
+async function decryptWithStrategies(context, options = {}) {
+    const { mode = decryption.mode, timeouts = decryption.timeouts, timeout = decryption.timeout } = options;
+    const candidates = getStrategies(context.embedUrl, { ...options, mode });
+    const errors = [];
+
+    const attempt = async (strategy, signal) => {
+        const startedAt = Date.now();
+        try {
+            const sources = await runStrategy(strategy, context, timeouts[strategy.name] ?? timeout, signal);
+            decryptMetrics.record(strategy.name, 'success', Date.now() - startedAt);
+            return { sources, strategy: strategy.name };
+        } catch (error) {
+            decryptMetrics.record(strategy.name, getOutcome(error), Date.now() - startedAt, error.message);
+            errors.push(`${ strategy.name }: ${ error.message }`);
+            throw error;
+        }
+    };
+    const win = (result) => {
+        decryptMetrics.recordWin(result.strategy);
+        return result;
+    };
+
+    if (candidates.length <= 0) {
+        throw new Error("No enabled decryption strategy can handle this embed");
+    }
+
+    if (mode === 'race') {
+        // The losers are aborted once a strategy wins
+        const controller = new AbortController();
+        try {
+            return win(await Promise.any(candidates.map(strategy => attempt(strategy, controller.signal))));
+        } catch (error) {
+            throw new Error(`All decryption strategies failed (${ errors.join('; ') })`);
+        } finally {
+            controller.abort();
+        }
+    }
+
+    for (const strategy of candidates) {
+        try {
+            return win(await attempt(strategy));
+        } catch (error) {
+            continue;
+        }
+    }
+
+    throw new Error(`All decryption strategies failed (${ errors.join('; ') })`);
+}
+
+for (const strategy of [require('./local'), require('./mcApi'), require('./zenime')]) {
+    registerStrategy(strategy);
+}
+
+module.exports = {
+    MODES,
+    registerStrategy,
+    isStrategyEnabled,
+    getEnabledStrategies,
+    getStrategies,
+    decryptWithStrategies
+};
@@ -0,0 +1,67 @@
+// Original decryption method, decrypts getSources with the local and community MegaCloud keys
+const { decrypt } = require('../megacloudDecrypt');
+const { keyStore } = require('../keyStore');
+const { getProviderKeys } = require('../keyProviders');
+const { keyStats } = require('../keyStats');
+
+async function asyncGetKeys() {
+    const [localKeys, providerKeys] = await Promise.all([
+        keyStore.getKeys(), // Locally produced keys, picked up as soon as /api/write/key changes the file
+        getProviderKeys()
+    ]);
+
+    const keys = { ...localKeys, ...providerKeys };
+
+    if(Object.keys(keys).length === 0) {
+        throw new Error("Failed to fetch any decryption key");
+    }
+
+    return keys;
+}
+
+async function getDecryptedSourceV3(encrypted, nonce) {
+    let decrypted = null;
+    const keys = await asyncGetKeys();
+
+    if (!encrypted) {
+        console.log("Encrypted source missing in response")
+        return null;
+    }
+
+    // Most recently successful key first, keys that keep failing are skipped for a while
+    for(let [name, key] of keyStats.order(keys)) {
+        try {
+            decrypted = decrypt(key, nonce, encrypted);
+
+            if(!Array.isArray(decrypted) || decrypted.length <= 0) {
+                // Failed to decrypt source
+                keyStats.recordFailure(name, key, 'Did not decrypt to a list of sources');
+                continue;
+            }
+
+            keyStats.recordSuccess(name, key);
+            console.log("Functioning key:", name);
+            return decrypted;
+
+        } catch(error) {
+            console.error('Error:', error);
+            console.error(`[${ new Date().toLocaleString() }] Key did not work: ${ name }`);
+            keyStats.recordFailure(name, key, error.message);
+            continue;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    name: 'local',
+    hosts: [],
+    // Keys only apply to the v3 getSources encryption
+    canHandle: (embedUrl) => /\/embed-2\/v3\/e-1\//.test(embedUrl),
+    async decrypt({ encrypted, nonce }) {
+        const result = await getDecryptedSourceV3(encrypted, nonce);
+        if(!result) throw new Error("Local keys failed to decrypt source");
+        return result;
+    }
+};
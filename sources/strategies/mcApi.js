@@ -0,0 +1,15 @@
+// Local fastapi server - thanks to https://github.com/carlosesteven/MC_API which is based on https://github.com/cvznseoiuelsuirvse/megacloudpy
+const axios = require('axios');
+const { upstreams } = require('../../config');
+
+module.exports = {
+    name: 'mcapi',
+    // Every embed URL decrypted this way is sent to this host
+    hosts: [upstreams.mcApi],
+    canHandle: (embedUrl) => /\/embed-\d+\//.test(embedUrl),
+    async decrypt({ embedUrl, signal }) {
+        const { data: result } = await axios.get(`${ upstreams.mcApi }/api?url=${ embedUrl }`, { signal });
+        if(!result?.sources) throw new Error("MC_API returned no sources");
+        return result.sources;
+    }
+};
@@ -0,0 +1,15 @@
+// itzzzme/zenime
+const { itzzzmeDecrypt } = require('../itzzzmeDecrypt');
+const { upstreams } = require('../../config');
+
+module.exports = {
+    name: 'zenime',
+    // Every embed URL decrypted this way is sent to this host
+    hosts: [upstreams.zenime],
+    canHandle: (embedUrl) => /\/embed-\d+\//.test(embedUrl),
+    async decrypt({ embedUrl, signal }) {
+        const result = await itzzzmeDecrypt(embedUrl, { signal });
+        if(!result) throw new Error("Zenime returned no sources");
+        return result;
+    }
+};
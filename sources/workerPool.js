@@ -0,0 +1,237 @@
+const { Worker } = require('worker_threads');
+
+// Every worker is busy and the queue holds maxQueue tasks already
+class QueueFullError extends Error {
+    constructor(message, { retryAfter } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        // Seconds after which a worker has most likely become free
+        this.retryAfter = retryAfter;
+    }
+}
+
+class TaskError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// The worker reported an error for the task, or crashed while running it
+class TaskFailedError extends TaskError {}
+
+// The task took longer than its timeout, its worker was terminated
+class TaskTimeoutError extends TaskError {}
+
+// The task's signal aborted, e.g. because the client went away
+class TaskAbortedError extends TaskError {}
+
+/**
+ * Runs tasks in a fixed number of worker threads, one task per worker at a time. Tasks wait in a FIFO queue
+ * while every worker is busy. Workers are started on demand and replaced when they crash, idle workers are
+ * unref'ed so they never keep the process alive.
+ *
+ * A task that times out or is aborted while running terminates its worker, as there is no telling
+ * what the worker is stuck on.
+ *
+ * The worker script receives { id, payload } messages and answers each with { id, result } or { id, error },
+ * where error is a message the task is rejected with as a TaskFailedError. A worker crashing or exiting
+ * mid-task fails the task the same way.
+ */
+class WorkerPool {
+    /**
+     * @param {Object} options
+     * @param {string} options.script - The absolute path of the worker script
+     * @param {number} [options.size=1] - How many workers run tasks concurrently
+     * @param {number} [options.timeout=0] - Milliseconds a task may run, 0 for no limit
+     * @param {number} [options.maxQueue=Infinity] - How many tasks may wait for a worker
+     */
+    constructor({ script, size = 1, timeout = 0, maxQueue = Infinity }) {
+        this.script = script;
+        this.size = Math.max(1, size);
+        this.timeout = timeout;
+        this.maxQueue = maxQueue;
+        // Every worker and the task it is running, null while idle
+        this.slots = [];
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * @param {*} payload - Passed to the worker, must be structured-cloneable
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Drops the task from the queue, or terminates its worker once running
+     * @param {number} [options.timeout] - Milliseconds the task may run, the pool's timeout by default
+     * @returns {Promise<*>} The worker's result
+     */
+    run(payload, { signal, timeout = this.timeout } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new TaskAbortedError('Aborted before it started'));
+                return;
+            }
+            // The limit is on waiting tasks only, a task a worker can take right away is always accepted
+            if (!this.hasFreeSlot() && this.queue.length >= this.maxQueue) {
+                reject(new QueueFullError(`All ${ this.size } workers are busy and ${ this.queue.length } tasks are queued`, {
+                    retryAfter: timeout > 0 ? Math.ceil(timeout / 1000) : 1
+                }));
+                return;
+            }
+
+            const task = { id: this.nextId++, payload, timeout, signal, resolve, reject, timer: null, slot: null };
+
+            task.abort = () => {
+                const error = new TaskAbortedError('Aborted');
+                if (task.slot) {
+                    this.kill(task.slot, error);
+                    return;
+                }
+                this.queue.splice(this.queue.indexOf(task), 1);
+                this.settle(task);
+                reject(error);
+            };
+            signal?.addEventListener('abort', task.abort);
+
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    hasFreeSlot() {
+        return this.slots.length < this.size || this.slots.some(slot => !slot.task);
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            const slot = this.slots.find(slot => !slot.task) ?? (this.slots.length < this.size ? this.spawn() : null);
+            if (!slot) {
+                return;
+            }
+
+            const task = this.queue.shift();
+            slot.task = task;
+            task.slot = slot;
+            if (task.timeout > 0) {
+                this.startTimer(slot, task);
+            }
+            slot.worker.ref();
+            slot.worker.postMessage({ id: task.id, payload: task.payload });
+        }
+    }
+
+    // The timeout covers the task only, a freshly spawned worker gets as long again to boot first
+    startTimer(slot, task) {
+        if (!slot.online) {
+            task.timer = setTimeout(() => this.kill(slot, new TaskTimeoutError(`Worker did not start within ${ task.timeout }ms`)), task.timeout);
+            slot.worker.once('online', () => {
+                if (slot.task === task) {
+                    clearTimeout(task.timer);
+                    this.startTimer(slot, task);
+                }
+            });
+            return;
+        }
+
+        task.timer = setTimeout(() => this.kill(slot, new TaskTimeoutError(`Timed out after ${ task.timeout }ms`)), task.timeout);
+    }
+
+    spawn() {
+        const slot = { worker: new Worker(this.script), task: null, online: false };
+
+        slot.worker.once('online', () => {
+            slot.online = true;
+        });
+
+        slot.worker.on('message', ({ id, result, error }) => {
+            const task = slot.task;
+            if (!task || task.id !== id) {
+                return;
+            }
+
+            this.settle(task);
+            slot.task = null;
+            slot.worker.unref();
+            this.dispatch();
+
+            if (error != null) {
+                task.reject(new TaskFailedError(error));
+            } else {
+                task.resolve(result);
+            }
+        });
+        slot.worker.on('error', error => this.remove(slot, new TaskFailedError(error.message)));
+        slot.worker.on('exit', code => this.remove(slot, new TaskFailedError(`Worker exited with code ${ code }`)));
+
+        this.slots.push(slot);
+        return slot;
+    }
+
+    settle(task) {
+        clearTimeout(task.timer);
+        task.signal?.removeEventListener('abort', task.abort);
+    }
+
+    // A crashed worker fails its task and makes room for a fresh one
+    remove(slot, error) {
+        const index = this.slots.indexOf(slot);
+        if (index < 0) {
+            return;
+        }
+
+        this.slots.splice(index, 1);
+        if (slot.task) {
+            console.error(`[workerPool] Worker of ${ this.script } stopped running a task:`, error.message);
+            this.settle(slot.task);
+            slot.task.reject(error);
+            slot.task = null;
+        }
+        this.dispatch();
+    }
+
+    kill(slot, error) {
+        this.remove(slot, error);
+        slot.worker.terminate();
+    }
+
+    /**
+     * @returns {{ size: number, workers: number, busy: number, queued: number }}
+     */
+    stats() {
+        return {
+            size: this.size,
+            workers: this.slots.length,
+            busy: this.slots.filter(slot => slot.task).length,
+            queued: this.queue.length
+        };
+    }
+
+    /**
+     * Stops every worker, running and queued tasks are rejected.
+     */
+    async destroy() {
+        const error = new Error('Worker pool was destroyed');
+
+        for (const task of this.queue.splice(0)) {
+            this.settle(task);
+            task.reject(error);
+        }
+
+        const slots = this.slots.splice(0);
+        await Promise.all(slots.map(slot => {
+            if (slot.task) {
+                this.settle(slot.task);
+                slot.task.reject(error);
+                slot.task = null;
+            }
+            return slot.worker.terminate();
+        }));
+    }
+}
+
+module.exports = {
+    WorkerPool,
+    QueueFullError,
+    TaskFailedError,
+    TaskTimeoutError,
+    TaskAbortedError
+};
@@ -0,0 +1,208 @@
+const axios = require('axios');
+const { getProfileHeaders } = require('./mapper');
+
+const TIMING_REGEX = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+const DEFAULT_CACHE_TTL = 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+const FORMATS = {
+    vtt: { contentType: 'text/vtt; charset=utf-8', serialize: toVtt },
+    srt: { contentType: 'application/x-subrip; charset=utf-8', serialize: toSrt },
+    ass: { contentType: 'text/x-ssa; charset=utf-8', serialize: toAss }
+};
+
+// Parsed cues per track URL, Map keeps insertion order so the first entry is the oldest
+const cache = new Map();
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+function parseTimestamp(timestamp) {
+    const [clock, fraction] = timestamp.replace(',', '.').split('.');
+    const seconds = clock.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+    return seconds * 1000 + Number(fraction.padEnd(3, '0'));
+}
+
+function splitTime(ms) {
+    return {
+        hours: Math.floor(ms / 3600000),
+        minutes: Math.floor(ms / 60000) % 60,
+        seconds: Math.floor(ms / 1000) % 60,
+        millis: ms % 1000
+    };
+}
+
+function formatTimestamp(ms, separator) {
+    const { hours, minutes, seconds, millis } = splitTime(ms);
+    return `${ pad(hours) }:${ pad(minutes) }:${ pad(seconds) }${ separator }${ pad(millis, 3) }`;
+}
+
+function formatAssTimestamp(ms) {
+    const { hours, minutes, seconds, millis } = splitTime(ms);
+    return `${ hours }:${ pad(minutes) }:${ pad(seconds) }.${ pad(Math.floor(millis / 10)) }`;
+}
+
+const unescapeEntities = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+
+/**
+ * Parses a WebVTT (or SRT) document into cues. Header, NOTE, STYLE and REGION blocks are skipped
+ * as they carry no timing line.
+ *
+ * @param {string} body - The subtitle document
+ * @returns {Array<{ start: number, end: number, text: string }>} The cues, times in milliseconds
+ */
+function parseVtt(body) {
+    const cues = [];
+    const blocks = body.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => TIMING_REGEX.test(line.trim()));
+
+        if (timingIndex === -1) {
+            continue;
+        }
+
+        const [, start, end] = lines[timingIndex].trim().match(TIMING_REGEX);
+        const text = lines.slice(timingIndex + 1).join('\n').trim();
+
+        if (text) {
+            cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text });
+        }
+    }
+
+    return cues;
+}
+
+/**
+ * Shifts all cues by the given offset, dropping cues that end up entirely before zero.
+ *
+ * @param {Array<{ start: number, end: number, text: string }>} cues
+ * @param {number} offset - The offset in milliseconds, may be negative
+ * @returns {Array<{ start: number, end: number, text: string }>} The shifted cues
+ */
+function shiftCues(cues, offset) {
+    if (!offset) {
+        return cues;
+    }
+
+    return cues
+        .map(cue => ({ ...cue, start: Math.max(0, Math.round(cue.start + offset)), end: Math.round(cue.end + offset) }))
+        .filter(cue => cue.end > 0);
+}
+
+function toVtt(cues) {
+    const body = cues.map(cue => `${ formatTimestamp(cue.start, '.') } --> ${ formatTimestamp(cue.end, '.') }\n${ cue.text }`);
+    return ['WEBVTT', ...body].join('\n\n') + '\n';
+}
+
+function toSrt(cues) {
+    return cues.map((cue, i) => {
+        // SRT players only understand the basic styling tags
+        const text = unescapeEntities(cue.text.replace(/<(?!\/?[ibu]>)[^>]*>/g, ''));
+        return `${ i + 1 }\n${ formatTimestamp(cue.start, ',') } --> ${ formatTimestamp(cue.end, ',') }\n${ text }`;
+    }).join('\n\n') + '\n';
+}
+
+function toAss(cues) {
+    const header = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        'PlayResX: 1920',
+        'PlayResY: 1080',
+        'ScaledBorderAndShadow: yes',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        'Style: Default,Arial,64,&H00FFFFFF,&H000000FF,&H00000000,&H64000000,0,0,0,0,100,100,0,0,1,3,1,2,60,60,50,1',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ];
+
+    const events = cues.map(cue => {
+        const text = unescapeEntities(cue.text
+            .replace(/<([ibu])>/g, (_, tag) => `{\\${ tag }1}`)
+            .replace(/<\/([ibu])>/g, (_, tag) => `{\\${ tag }0}`)
+            .replace(/<[^>]*>/g, ''))
+            .replace(/\n/g, '\\N');
+        return `Dialogue: 0,${ formatAssTimestamp(cue.start) },${ formatAssTimestamp(cue.end) },Default,,0,0,0,,${ text }`;
+    });
+
+    return [...header, ...events].join('\n') + '\n';
+}
+
+/**
+ * Fetches and parses a subtitle track, keeping the parsed cues cached per URL.
+ *
+ * @param {string} url - The track URL
+ * @param {string} profile - The header profile used when fetching upstream
+ * @returns {Promise<Array<{ start: number, end: number, text: string }>>} The parsed cues
+ */
+async function fetchCues(url, profile) {
+    const cached = cache.get(url);
+    if (cached && cached.expires > Date.now()) {
+        return cached.cues;
+    }
+
+    const { data: body } = await axios({
+        method: 'GET',
+        url,
+        headers: getProfileHeaders(profile),
+        responseType: 'text',
+        timeout: 15000
+    });
+
+    const cues = parseVtt(body);
+    if (cues.length <= 0) {
+        throw new Error('Track contains no cues');
+    }
+
+    cache.delete(url);
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+
+    const ttl = Number(process.env.SUBTITLE_CACHE_TTL) || DEFAULT_CACHE_TTL;
+    cache.set(url, { cues, expires: Date.now() + ttl });
+
+    return cues;
+}
+
+/**
+ * Fetches a subtitle track and converts it to the requested format.
+ *
+ * @param {string} url - The track URL
+ * @param {Object} options
+ * @param {'vtt'|'srt'|'ass'} [options.format='vtt'] - The output format
+ * @param {number} [options.offset=0] - Time offset in seconds, may be negative
+ * @param {string} [options.profile='megacloud'] - The header profile used when fetching upstream
+ * @returns {Promise<{ contentType: string, body: string }>} The converted track
+ */
+async function getSubtitle(url, { format = 'vtt', offset = 0, profile = 'megacloud' } = {}) {
+    const output = FORMATS[format];
+    if (!output) {
+        throw new Error(`Unsupported subtitle format: ${ format }`);
+    }
+
+    const cues = shiftCues(await fetchCues(url, profile), offset * 1000);
+
+    return {
+        contentType: output.contentType,
+        body: output.serialize(cues)
+    };
+}
+
+module.exports = {
+    SUBTITLE_FORMATS: Object.keys(FORMATS),
+    parseVtt,
+    shiftCues,
+    toVtt,
+    toSrt,
+    toAss,
+    getSubtitle
+};
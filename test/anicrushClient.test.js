@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { AniCrushClient, AniCrushHttpError } = require('../anicrushClient');
+
+describe('AniCrushClient', () => {
+    let server;
+    let baseUrl;
+    let calls = 0;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            calls++;
+            res.writeHead(503).end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${ server.address().port }`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('retries server errors the configured number of times', async () => {
+        calls = 0;
+        const client = new AniCrushClient({ baseUrl, retries: 2, retryDelay: 1 });
+        await assert.rejects(client.getById('retried'), AniCrushHttpError);
+        assert.equal(calls, 3);
+    });
+
+    it('makes a single attempt when the retry count is not a number', async () => {
+        calls = 0;
+        const client = new AniCrushClient({ baseUrl, retries: NaN, retryDelay: 1 });
+        await assert.rejects(client.getById('not-retried'), AniCrushHttpError);
+        assert.equal(calls, 1);
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DecryptMetrics } = require('../sources/decryptMetrics');
+
+describe('DecryptMetrics', () => {
+    it('counts attempts by outcome', () => {
+        const metrics = new DecryptMetrics();
+        metrics.record('local', 'success', 20);
+        metrics.recordWin('local');
+        metrics.record('local', 'failure', 5, 'Local keys failed to decrypt source');
+        metrics.record('mcapi', 'timeout', 15000, 'Timed out after 15000ms');
+        metrics.record('zenime', 'aborted', 30);
+
+        const { local, mcapi, zenime } = metrics.snapshot();
+        assert.deepEqual(
+            [local.attempts, local.successes, local.failures, local.wins, local.lastError],
+            [2, 1, 1, 1, 'Local keys failed to decrypt source']
+        );
+        assert.deepEqual([mcapi.attempts, mcapi.timeouts, mcapi.failures], [1, 1, 0]);
+        assert.deepEqual([zenime.attempts, zenime.aborted, zenime.lastFailureAt], [1, 1, null]);
+    });
+
+    it('keeps a latency histogram of successful attempts', () => {
+        const metrics = new DecryptMetrics([100, 1000]);
+        for (const durationMs of [40, 100, 400, 5000]) {
+            metrics.record('local', 'success', durationMs);
+        }
+        metrics.record('local', 'failure', 50, 'Upstream down');
+
+        const { latency } = metrics.snapshot().local;
+        assert.equal(latency.count, 4);
+        assert.equal(latency.sumMs, 5540);
+        assert.equal(latency.averageMs, 1385);
+        assert.deepEqual(latency.buckets, [
+            { upToMs: 100, count: 2 },
+            { upToMs: 1000, count: 1 },
+            { upToMs: null, count: 1 }
+        ]);
+    });
+});
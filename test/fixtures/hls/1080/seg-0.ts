@@ -0,0 +1 @@
+segment-0-1080-payload
\ No newline at end of file
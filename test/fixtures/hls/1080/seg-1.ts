@@ -0,0 +1 @@
+segment-1-1080-payload
\ No newline at end of file
@@ -0,0 +1 @@
+segment-0-720-payload
\ No newline at end of file
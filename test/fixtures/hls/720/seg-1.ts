@@ -0,0 +1 @@
+segment-1-720-payload
\ No newline at end of file
@@ -0,0 +1,15 @@
+const { parentPort } = require('worker_threads');
+
+// Answers with the payload's value after its delay, fails or crashes on request
+parentPort.on('message', ({ id, payload: { value, delay = 0, fail, crash } }) => {
+    setTimeout(() => {
+        if (crash) {
+            process.exit(1);
+        }
+        if (fail) {
+            parentPort.postMessage({ id, error: fail });
+            return;
+        }
+        parentPort.postMessage({ id, result: { value, threadId: require('worker_threads').threadId } });
+    }, delay);
+});
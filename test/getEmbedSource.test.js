@@ -0,0 +1,46 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getStreamExpiry, getCacheTtl } = require('../sources/getEmbedSource');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const jwt = (payload) => ['header', Buffer.from(JSON.stringify(payload)).toString('base64url'), 'signature'].join('.');
+
+describe('getStreamExpiry', () => {
+    it('reads the expiry parameter', () => {
+        assert.equal(getStreamExpiry('https://cdn.example/master.m3u8?expires=1900000000'), 1900000000);
+        assert.equal(getStreamExpiry('https://cdn.example/master.m3u8?Expiry=1900000000000'), 1900000000);
+    });
+
+    it('reads the exp claim of a JWT parameter', () => {
+        assert.equal(getStreamExpiry(`https://cdn.example/master.m3u8?token=${ jwt({ exp: 1900000000 }) }`), 1900000000);
+    });
+
+    it('returns null for URLs without an expiry', () => {
+        assert.equal(getStreamExpiry('https://cdn.example/master.m3u8?e=12'), null);
+        assert.equal(getStreamExpiry(`https://cdn.example/master.m3u8?token=${ jwt({ sub: 'viewer' }) }`), null);
+        assert.equal(getStreamExpiry('not a url'), null);
+    });
+});
+
+describe('getCacheTtl', () => {
+    afterEach(() => {
+        delete process.env.DECRYPT_CACHE_TTL;
+    });
+
+    it('is bounded by the earliest expiring source, less a margin', () => {
+        const ttl = getCacheTtl([
+            { file: `https://cdn.example/a.m3u8?expires=${ now() + 3600 }` },
+            { file: `https://cdn.example/b.m3u8?expires=${ now() + 600 }` }
+        ]);
+        assert.ok(ttl > 500 && ttl <= 540, `${ ttl }`);
+    });
+
+    it('falls back to DECRYPT_CACHE_TTL when no source carries an expiry', () => {
+        const sources = [{ file: 'https://cdn.example/master.m3u8' }];
+        assert.equal(getCacheTtl(sources), 600);
+
+        process.env.DECRYPT_CACHE_TTL = '0';
+        assert.equal(getCacheTtl(sources), 0);
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KeyStore } = require('../sources/keyStore');
+const { KeyHistory } = require('../sources/keyHistory');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'anicrush-keyhistory-'));
+const keyFile = path.join(directory, 'megacloud.json');
+const historyFile = path.join(directory, 'megacloud-history.json');
+
+let keyStore;
+let history;
+
+beforeEach(() => {
+    fs.rmSync(keyFile, { force: true });
+    fs.rmSync(historyFile, { force: true });
+    keyStore = new KeyStore(keyFile);
+    history = new KeyHistory({ file: historyFile, keyStore, limit: 3 });
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('KeyHistory', () => {
+    it('writes keys as proper JSON', async () => {
+        await history.record({ key: 'a "quoted" \\ key', source: 'test' });
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(keyFile, 'utf8')), { megacloud: 'a "quoted" \\ key' });
+        assert.equal(await history.current(), 'a "quoted" \\ key');
+    });
+
+    it('keeps the other keys in the key file', async () => {
+        fs.writeFileSync(keyFile, JSON.stringify({ megacloud: 'old', rapid: 'other' }));
+
+        await history.record({ key: 'new', source: 'test' });
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(keyFile, 'utf8')), { megacloud: 'new', rapid: 'other' });
+    });
+
+    it('lists entries newest first', async () => {
+        await history.record({ key: 'first', source: 'test' });
+        await history.record({ key: 'second', source: 'test', verification: { ok: true } });
+
+        const entries = await history.list();
+        assert.deepEqual(entries.map(entry => [entry.id, entry.key]), [[2, 'second'], [1, 'first']]);
+        assert.deepEqual(entries[0].verification, { ok: true });
+        assert.equal(entries[1].verification, null);
+        assert.ok(!Number.isNaN(Date.parse(entries[0].timestamp)));
+    });
+
+    it('keeps entries of concurrent writes', async () => {
+        await Promise.all(['a', 'b', 'c'].map(key => history.record({ key, source: 'test' })));
+
+        assert.deepEqual((await history.list()).map(entry => entry.id), [3, 2, 1]);
+    });
+
+    it('only keeps the newest entries', async () => {
+        for (const key of ['a', 'b', 'c', 'd']) {
+            await history.record({ key, source: 'test' });
+        }
+
+        assert.deepEqual((await history.list()).map(entry => entry.key), ['d', 'c', 'b']);
+    });
+
+    it('rolls back to an earlier key', async () => {
+        await history.record({ key: 'good', source: 'test', verification: { ok: true } });
+        await history.record({ key: 'bad', source: 'test' });
+
+        const entry = await history.rollback(1, 'admin');
+        assert.equal(entry.id, 3);
+        assert.equal(entry.rollbackOf, 1);
+        assert.equal(entry.source, 'admin');
+        assert.deepEqual(entry.verification, { ok: true });
+        assert.equal(await history.current(), 'good');
+    });
+
+    it('does not roll back to unknown entries', async () => {
+        await history.record({ key: 'only', source: 'test' });
+
+        assert.equal(await history.rollback(5), null);
+        assert.equal(await history.current(), 'only');
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KEY_PARSERS, createProvider, fetchProviderKey, refreshProviderKey, getProviderKey, getProviderKeys } = require('../sources/keyProviders');
+
+let directory;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'anicrush-providers-'));
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('key parsers', () => {
+    it('finds the key in every JSON format seen so far', () => {
+        assert.equal(KEY_PARSERS.json('{ "mega": "a" }'), 'a');
+        assert.equal(KEY_PARSERS.json('{ "decryptKey": "b" }'), 'b');
+        assert.equal(KEY_PARSERS.json('{ "MegaCloud": { "Anime": { "Key": "c" } } }'), 'c');
+        assert.equal(KEY_PARSERS.json('{ "megacloud": { "key": "d" } }'), 'd');
+        assert.equal(KEY_PARSERS.json('{ "key": "e" }'), 'e');
+        assert.equal(KEY_PARSERS.json('{ "megacloud": { "anime": { "key": "f" } } }'), 'f');
+        assert.equal(KEY_PARSERS.json('{ "rabbit": "g" }'), null);
+    });
+
+    it('reads the key at a given path', () => {
+        const provider = createProvider({ name: 'nested', url: 'https://keys.test/keys.json', parser: 'json:players.megacloud' });
+        assert.equal(provider.parse('{ "players": { "megacloud": "h" } }'), 'h');
+    });
+
+    it('rejects unknown parsers', () => {
+        assert.throws(() => createProvider({ name: 'xml', url: 'https://keys.test/keys.xml', parser: 'xml' }), /Unknown key parser/);
+    });
+});
+
+describe('createProvider', () => {
+    it('needs either a url or a file', () => {
+        assert.throws(() => createProvider({ name: 'none' }), /either a url or a file/);
+        assert.throws(() => createProvider({ name: 'both', url: 'https://keys.test/key.txt', file: 'key.txt' }), /either a url or a file/);
+    });
+
+    it('disables providers fetching from a URL in privacy mode', () => {
+        assert.equal(createProvider({ name: 'remote', url: 'https://keys.test/keys.json' }, { privacy: true }).enabled, false);
+        assert.equal(createProvider({ name: 'local', file: 'keys.json' }, { privacy: true }).enabled, true);
+    });
+
+    it('fills in the defaults', () => {
+        const provider = createProvider({ name: 'defaults', url: 'https://keys.test/keys.json' });
+        assert.equal(provider.parser, 'json');
+        assert.equal(provider.timeout, 5000);
+        assert.equal(provider.ttl, 600);
+        assert.equal(provider.priority, 0);
+        assert.equal(provider.enabled, true);
+    });
+});
+
+describe('fetchProviderKey', () => {
+    it('reads file providers and records the success', async () => {
+        const file = path.join(directory, 'key.txt');
+        fs.writeFileSync(file, 'file-key\n');
+
+        const provider = createProvider({ name: 'file', file, parser: 'text' });
+        assert.equal(await fetchProviderKey(provider), 'file-key');
+        assert.equal(provider.status.ok, true);
+        assert.equal(provider.status.error, null);
+        assert.ok(provider.status.lastSuccessAt);
+    });
+
+    it('records why a provider failed', async () => {
+        const file = path.join(directory, 'keys.json');
+        fs.writeFileSync(file, '{ "rabbit": "key" }');
+
+        const provider = createProvider({ name: 'unknown-format', file });
+        assert.equal(await fetchProviderKey(provider), null);
+        assert.equal(provider.status.ok, false);
+        assert.match(provider.status.error, /found no key/);
+        assert.equal(provider.status.lastSuccessAt, null);
+    });
+});
+
+describe('getProviderKey', () => {
+    it('serves the cached key and refreshes it in the background once stale', async () => {
+        const file = path.join(directory, 'rotating.txt');
+        fs.writeFileSync(file, 'first-key');
+        const provider = createProvider({ name: 'rotating', file, parser: 'text', ttl: 60 });
+
+        // The first call does not wait for the fetch either
+        assert.equal(await getProviderKey(provider), null);
+        assert.equal(await refreshProviderKey(provider), 'first-key');
+        assert.equal(await getProviderKey(provider), 'first-key');
+
+        fs.writeFileSync(file, 'second-key');
+        assert.equal(await getProviderKey(provider), 'first-key');
+
+        provider.fetchedAt -= 61 * 1000;
+        assert.equal(await getProviderKey(provider), 'first-key');
+        // Joins the background refresh started above
+        assert.equal(await refreshProviderKey(provider), 'second-key');
+        assert.equal(await getProviderKey(provider), 'second-key');
+    });
+
+    it('keeps the last good key when a refresh fails', async () => {
+        const file = path.join(directory, 'flaky.txt');
+        fs.writeFileSync(file, 'good-key');
+        const provider = createProvider({ name: 'flaky', file, parser: 'text' });
+
+        assert.equal(await refreshProviderKey(provider), 'good-key');
+
+        fs.unlinkSync(file);
+        assert.equal(await refreshProviderKey(provider), 'good-key');
+        assert.equal(provider.status.ok, false);
+        assert.deepEqual(await getProviderKeys([provider]), { flaky: 'good-key' });
+    });
+
+    it('retries a failed fetch after a short backoff instead of the TTL', async () => {
+        const file = path.join(directory, 'late.txt');
+        const provider = createProvider({ name: 'late', file, parser: 'text', ttl: 3600 });
+
+        assert.equal(await refreshProviderKey(provider), null);
+        assert.equal(provider.fetchedAt, null);
+
+        fs.writeFileSync(file, 'late-key');
+        const lastFetchAt = provider.status.lastFetchAt;
+        assert.equal(await getProviderKey(provider), null);
+        assert.equal(provider.status.lastFetchAt, lastFetchAt);
+
+        provider.failedAt -= 31 * 1000;
+        assert.equal(await getProviderKey(provider), null);
+        // Joins the retry started above
+        assert.equal(await refreshProviderKey(provider), 'late-key');
+        assert.equal(await getProviderKey(provider), 'late-key');
+    });
+
+    it('leaves out providers that never served a key', async () => {
+        const provider = createProvider({ name: 'missing', file: path.join(directory, 'missing.txt'), parser: 'text' });
+        const disabled = createProvider({ name: 'disabled', file: path.join(directory, 'missing.txt'), enabled: false });
+
+        assert.deepEqual(await getProviderKeys([provider, disabled]), {});
+        await refreshProviderKey(provider);
+        assert.deepEqual(await getProviderKeys([provider, disabled]), {});
+        assert.equal(disabled.status.lastFetchAt, null);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { KeyStats } = require('../sources/keyStats');
+
+const KEYS = { local: 'local-key', yogesh: 'yogesh-key', lunar: 'lunar-key' };
+
+const names = (entries) => entries.map(([name]) => name);
+
+describe('KeyStats', () => {
+    it('keeps the given order until a key succeeds', () => {
+        const stats = new KeyStats();
+        assert.deepEqual(names(stats.order(KEYS)), ['local', 'yogesh', 'lunar']);
+    });
+
+    it('tries the most recently successful key first', async () => {
+        const stats = new KeyStats();
+        stats.recordSuccess('yogesh', KEYS.yogesh);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        stats.recordSuccess('lunar', KEYS.lunar);
+
+        assert.deepEqual(names(stats.order(KEYS)), ['lunar', 'yogesh', 'local']);
+    });
+
+    it('skips keys that keep failing until their cooldown ends', () => {
+        const stats = new KeyStats({ failureThreshold: 2, cooldown: 60 });
+        stats.recordFailure('local', KEYS.local, 'Did not decrypt');
+        assert.deepEqual(names(stats.order(KEYS)), ['local', 'yogesh', 'lunar']);
+
+        stats.recordFailure('local', KEYS.local, 'Did not decrypt');
+        assert.deepEqual(names(stats.order(KEYS)), ['yogesh', 'lunar']);
+
+        const [local] = stats.list();
+        assert.equal(local.coolingDown, true);
+        assert.equal(local.consecutiveFailures, 2);
+        assert.equal(local.lastError, 'Did not decrypt');
+
+        // Let the cooldown run out
+        stats.stats.get('local').coolingDownUntil = new Date(Date.now() - 1000).toISOString();
+        assert.deepEqual(names(stats.order(KEYS)), ['local', 'yogesh', 'lunar']);
+    });
+
+    it('resets a failure streak on success', () => {
+        const stats = new KeyStats({ failureThreshold: 2, cooldown: 60 });
+        stats.recordFailure('local', KEYS.local, 'Did not decrypt');
+        stats.recordSuccess('local', KEYS.local);
+        stats.recordFailure('local', KEYS.local, 'Did not decrypt');
+
+        const [local] = stats.list();
+        assert.deepEqual([local.successes, local.failures, local.consecutiveFailures, local.coolingDown], [1, 2, 1, false]);
+    });
+
+    it('starts over when a provider serves a new key', () => {
+        const stats = new KeyStats({ failureThreshold: 1, cooldown: 60 });
+        stats.recordFailure('yogesh', KEYS.yogesh, 'Did not decrypt');
+        assert.deepEqual(names(stats.order(KEYS)), ['local', 'lunar']);
+
+        assert.deepEqual(names(stats.order({ ...KEYS, yogesh: 'rotated-key' })), ['local', 'yogesh', 'lunar']);
+        assert.equal(stats.list().find(entry => entry.name === 'yogesh').failures, 0);
+    });
+});
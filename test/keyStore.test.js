@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KeyStore, validateKeys } = require('../sources/keyStore');
+
+let directory;
+let file;
+
+// Bumps the mtime explicitly, two writes within the same millisecond would otherwise look unchanged
+const writeKeyFile = (contents, mtime) => {
+    fs.writeFileSync(file, contents);
+    fs.utimesSync(file, mtime, mtime);
+};
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'anicrush-keystore-'));
+    file = path.join(directory, 'megacloud.json');
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('validateKeys', () => {
+    it('trims the keys', () => {
+        assert.deepEqual(validateKeys({ megacloud: ' key\n' }), { megacloud: 'key' });
+    });
+
+    it('rejects anything but an object of non-empty strings', () => {
+        assert.throws(() => validateKeys(['key']), /JSON object/);
+        assert.throws(() => validateKeys({}), /no keys/);
+        assert.throws(() => validateKeys({ megacloud: '' }), /non-empty string/);
+        assert.throws(() => validateKeys({ megacloud: { key: 'key' } }), /non-empty string/);
+    });
+});
+
+describe('KeyStore', () => {
+    it('has no keys while the file is missing', async () => {
+        const store = new KeyStore(file);
+        assert.deepEqual(await store.getKeys(), {});
+    });
+
+    it('picks up a changed file without being recreated', async () => {
+        const store = new KeyStore(file);
+
+        writeKeyFile('{ "megacloud": "first-key" }', 1000);
+        assert.deepEqual(await store.getKeys(), { megacloud: 'first-key' });
+
+        writeKeyFile('{ "megacloud": "second-key" }', 2000);
+        assert.deepEqual(await store.getKeys(), { megacloud: 'second-key' });
+    });
+
+    it('keeps the previous keys when the file becomes invalid', async () => {
+        const store = new KeyStore(file);
+
+        writeKeyFile('{ "megacloud": "good-key" }', 3000);
+        assert.deepEqual(await store.getKeys(), { megacloud: 'good-key' });
+
+        writeKeyFile('{ "megacloud": ', 4000);
+        assert.deepEqual(await store.getKeys(), { megacloud: 'good-key' });
+
+        writeKeyFile('{ "megacloud": "fixed-key" }', 5000);
+        assert.deepEqual(await store.getKeys(), { megacloud: 'fixed-key' });
+    });
+
+    it('drops the keys once the file is removed', async () => {
+        const store = new KeyStore(file);
+
+        writeKeyFile('{ "megacloud": "removed-key" }', 6000);
+        assert.deepEqual(await store.getKeys(), { megacloud: 'removed-key' });
+
+        fs.unlinkSync(file);
+        assert.deepEqual(await store.getKeys(), {});
+    });
+});
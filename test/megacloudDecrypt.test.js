@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    decrypt,
+    encrypt,
+    computeKey,
+    columnarCipher,
+    columnarDecipher,
+    deterministicUnshuffle
+} = require('../sources/megacloudDecrypt');
+
+const CHARSET = Array.from({ length: 95 }, (_, i) => String.fromCharCode(i + 32));
+
+const SECRET = 'remote-test-key';
+const NONCE = 'hX3bL9kQw2ZyT7uV1nA5cR8eD4fG6jM0sP2oIqYtWxEzKvNl';
+
+const SOURCES = {
+    sources: [{ file: 'https://cdn.example/hls/master.m3u8', type: 'hls' }],
+    tracks: [{ file: 'https://cdn.example/subs/eng.vtt', label: 'English', kind: 'captions', default: true }],
+    intro: { start: 0, end: 89 },
+    outro: { start: 1350, end: 1439 }
+};
+
+describe('computeKey', () => {
+    it('is deterministic and stays within the printable charset', () => {
+        const key = computeKey(SECRET, NONCE);
+        assert.equal(key, computeKey(SECRET, NONCE));
+        assert.ok(key.length >= 96 && key.length <= 128);
+        assert.ok([...key].every(char => CHARSET.includes(char)));
+    });
+
+    it('depends on both the secret and the nonce', () => {
+        const key = computeKey(SECRET, NONCE);
+        assert.notEqual(computeKey('another-key', NONCE), key);
+        assert.notEqual(computeKey(SECRET, NONCE.split('').reverse().join('')), key);
+    });
+});
+
+describe('deterministicUnshuffle', () => {
+    it('permutes the charset the same way for the same key phrase', () => {
+        const shuffled = deterministicUnshuffle(CHARSET, 'phrase1');
+        assert.deepEqual(shuffled, deterministicUnshuffle(CHARSET, 'phrase1'));
+        assert.notDeepEqual(shuffled, deterministicUnshuffle(CHARSET, 'phrase2'));
+        assert.deepEqual([...shuffled].sort(), [...CHARSET].sort());
+    });
+});
+
+describe('columnarDecipher', () => {
+    it('reverses columnarCipher for texts that do not fill the last row', () => {
+        const key = computeKey(SECRET, NONCE) + 1;
+        for (const length of [0, 1, key.length - 1, key.length, key.length + 7, 3 * key.length + 2]) {
+            const text = Array.from({ length }, (_, i) => CHARSET[i % CHARSET.length]).join('');
+            assert.equal(columnarCipher(columnarDecipher(text, key), key), text);
+            assert.equal(columnarDecipher(columnarCipher(text, key), key), text);
+        }
+    });
+});
+
+describe('encrypt', () => {
+    it('round trips a sources object through decrypt', () => {
+        const encrypted = encrypt(SECRET, NONCE, SOURCES);
+        assert.deepEqual(decrypt(SECRET, NONCE, encrypted), SOURCES);
+    });
+
+    it('round trips with a custom number of rounds', () => {
+        const encrypted = encrypt(SECRET, NONCE, SOURCES, 5);
+        assert.deepEqual(decrypt(SECRET, NONCE, encrypted, 5), SOURCES);
+    });
+
+    it('prefixes the text with its length', () => {
+        const encrypted = encrypt(SECRET, NONCE, '{"a":1}', 0);
+        assert.equal(Buffer.from(encrypted, 'base64').toString('utf-8'), '0007{"a":1}');
+    });
+
+    it('does not decrypt with the wrong key', () => {
+        const encrypted = encrypt(SECRET, NONCE, SOURCES);
+        assert.notDeepEqual(decrypt('another-key', NONCE, encrypted), SOURCES);
+    });
+
+    it('rejects texts longer than the length prefix allows', () => {
+        assert.throws(() => encrypt(SECRET, NONCE, 'x'.repeat(10000)), /too long/);
+    });
+});
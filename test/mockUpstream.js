@@ -0,0 +1,124 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { encrypt } = require('../sources/megacloudDecrypt');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Embed ids the fake MegaCloud knows: unencrypted, encrypted with LOCAL_KEY, and one only the real key could decrypt
+const XRAX = 'Wl3xLmZpYWtr';
+const ENCRYPTED_XRAX = 'En4cR9pTeDxy';
+const BROKEN_XRAX = 'Bk9aQzYwWmFp';
+const LOCAL_KEY = 'test-local-key';
+const NONCE = 'hX3bL9kQw2ZyT7uV1nA5cR8eD4fG6jM0sP2oIqYtWxEzKvNl';
+
+const MOVIE_ID = 'iB9jrp';
+const EPISODE_COUNT = 3;
+
+/**
+ * Starts a local stand-in for every upstream host the API talks to: the anicrush shared/v2 API,
+ * MegaCloud embed pages and getSources, the CDN serving playlists, segments and captions,
+ * the remote key host and both third-party decryptors. Fixtures may reference {{BASE}},
+ * the origin of this server.
+ *
+ * @returns {Promise<{ baseUrl: string, requests: string[], close: () => Promise<void> }>}
+ */
+async function startMockUpstream() {
+    const app = express();
+    const requests = [];
+    let baseUrl;
+
+    const fixture = (name, replacements = {}) => {
+        let body = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+        for (const [key, value] of Object.entries({ BASE: baseUrl, NONCE, ...replacements })) {
+            body = body.split(`{{${ key }}}`).join(value);
+        }
+        return body;
+    };
+    const sendFixture = (res, name, replacements) => res.type(path.extname(name)).send(fixture(name, replacements));
+
+    app.use((req, res, next) => {
+        requests.push(req.path);
+        next();
+    });
+
+    app.get('/shared/v2/movie/list', (req, res) => sendFixture(res, 'search.json'));
+
+    app.get('/shared/v2/movie/getById/:movieId', (req, res) => {
+        if (req.params.movieId !== MOVIE_ID) {
+            return res.status(404).type('json').send(fixture('not-found.json'));
+        }
+        sendFixture(res, 'movie.json');
+    });
+
+    app.get('/shared/v2/episode/list', (req, res) => {
+        sendFixture(res, req.query._movieId === MOVIE_ID ? 'episodes.json' : 'not-found.json');
+    });
+
+    app.get('/shared/v2/episode/servers', (req, res) => {
+        const episode = Number(req.query.ep);
+        const exists = req.query._movieId === MOVIE_ID && episode >= 1 && episode <= EPISODE_COUNT;
+        sendFixture(res, exists ? 'servers.json' : 'not-found.json');
+    });
+
+    app.get('/shared/v2/episode/sources', (req, res) => {
+        const xrax = { 4: XRAX, 1: BROKEN_XRAX, 6: ENCRYPTED_XRAX }[req.query.sv];
+        if (req.query._movieId !== MOVIE_ID || !xrax) {
+            return sendFixture(res, 'not-found.json');
+        }
+        sendFixture(res, 'sources.json', { XRAX: xrax, SERVER: req.query.sv });
+    });
+
+    app.get('/embed-2/v3/e-1/getSources', (req, res) => {
+        if (req.query._k !== NONCE) {
+            return res.status(403).json({ error: 'Invalid nonce' });
+        }
+        if (req.query.id === BROKEN_XRAX) {
+            return sendFixture(res, 'getSources-encrypted.json');
+        }
+        if (req.query.id === ENCRYPTED_XRAX) {
+            const sources = JSON.parse(fixture('getSources.json'));
+            const encrypted = [{ file: 'https://cdn.test/hls/master.m3u8', type: 'hls' }];
+            return res.json({ ...sources, sources: encrypt(LOCAL_KEY, NONCE, encrypted), encrypted: true });
+        }
+        if (req.query.id !== XRAX) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        sendFixture(res, 'getSources.json');
+    });
+
+    app.get('/embed-2/v3/e-1/:xrax', (req, res) => sendFixture(res, 'embed.html', { XRAX: req.params.xrax }));
+
+    app.get('/keys.json', (req, res) => sendFixture(res, 'keys.json'));
+
+    // MC_API and zenime are both down, so only local decryption can succeed
+    app.get('/api', (req, res) => res.status(503).json({ detail: 'Service unavailable' }));
+    app.get('/extract', (req, res) => res.json({ success: false, error: 'Extraction failed' }));
+
+    app.use('/hls', express.static(path.join(FIXTURES, 'hls')));
+    app.use('/subs', express.static(path.join(FIXTURES, 'subs')));
+
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseUrl = `http://127.0.0.1:${ server.address().port }`;
+
+    return {
+        baseUrl,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections?.();
+            server.close(() => resolve());
+        })
+    };
+}
+
+module.exports = {
+    startMockUpstream,
+    XRAX,
+    ENCRYPTED_XRAX,
+    BROKEN_XRAX,
+    LOCAL_KEY,
+    NONCE,
+    MOVIE_ID
+};
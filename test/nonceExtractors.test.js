@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractNonce, registerNonceExtractor, getNonceExtractors } = require('../sources/nonceExtractors');
+const { NONCE } = require('./mockUpstream');
+
+const PAGES = path.join(__dirname, 'fixtures', 'embed-pages');
+
+const page = (name) => fs.readFileSync(path.join(PAGES, `${ name }.html`), 'utf8');
+
+describe('extractNonce', () => {
+    for (const extractor of ['meta_gg_fb', 'is_th', 'data_dpi', 'lk_db', 'nonce_attribute', 'xy_ws', 'token_48']) {
+        it(`finds the nonce of ${ extractor } pages`, () => {
+            assert.deepEqual(extractNonce(page(extractor)), { nonce: NONCE, extractor });
+        });
+    }
+
+    it('reports pages without a nonce', () => {
+        assert.deepEqual(extractNonce(page('none')), { nonce: null, extractor: null });
+    });
+
+    it('ignores nonce attributes too short to be the nonce', () => {
+        assert.deepEqual(extractNonce('<script nonce="abc123"></script>'), { nonce: null, extractor: null });
+    });
+});
+
+describe('registerNonceExtractor', () => {
+    it('tries the built-in extractors in order', () => {
+        assert.deepEqual(getNonceExtractors(), ['meta_gg_fb', 'is_th', 'data_dpi', 'lk_db', 'nonce_attribute', 'xy_ws', 'token_48']);
+    });
+
+    it('adds extractors compiled from string patterns', () => {
+        registerNonceExtractor({ name: 'test_qr', pattern: '_qr_(\\w+)_', minLength: 8 }, { first: true });
+
+        assert.equal(getNonceExtractors()[0], 'test_qr');
+        assert.deepEqual(extractNonce('<div class="_qr_abcdefgh_"></div>'), { nonce: 'abcdefgh', extractor: 'test_qr' });
+        assert.deepEqual(extractNonce(page('meta_gg_fb')), { nonce: NONCE, extractor: 'meta_gg_fb' });
+    });
+
+    it('rejects duplicate names', () => {
+        assert.throws(() => registerNonceExtractor({ name: 'xy_ws', pattern: /x/ }), /already registered/);
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+// Config is read once per process, so each setup gets a process of its own
+const getOutboundHosts = (env) => {
+    const script = `console.log(JSON.stringify(require('./outboundHosts').getOutboundHosts()))`;
+    const { stdout, stderr, status } = spawnSync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..'),
+        env: { PATH: process.env.PATH, ...env },
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    assert.equal(status, 0, stderr);
+    return JSON.parse(stdout);
+};
+
+describe('getOutboundHosts', () => {
+    it('lists the third-party hosts enabled by default', () => {
+        const hosts = getOutboundHosts({});
+        assert.deepEqual(hosts.map(({ host }) => host), [
+            'api.anicrush.to',
+            'megacloud.blog',
+            'raw.githubusercontent.com',
+            'mc.ofchaos.com',
+            'decrypt.zenime.site'
+        ]);
+    });
+
+    it('only lists anicrush and MegaCloud in privacy mode', () => {
+        const hosts = getOutboundHosts({ PRIVACY_MODE: 'true' });
+        assert.deepEqual(hosts, [
+            { host: 'api.anicrush.to', purpose: 'anicrush API' },
+            { host: 'megacloud.blog', purpose: 'MegaCloud embeds and getSources' }
+        ]);
+    });
+
+    it('leaves out strategies that are turned off', () => {
+        const hosts = getOutboundHosts({ DECRYPT_ENABLED_ZENIME: 'false' });
+        assert.ok(!hosts.some(({ host }) => host === 'decrypt.zenime.site'));
+        assert.ok(hosts.some(({ host }) => host === 'mc.ofchaos.com'));
+    });
+
+    it('only lists the strategies the decryption mode runs', () => {
+        const hosts = getOutboundHosts({ DECRYPT_MODE: 'local-only' });
+        assert.deepEqual(hosts.map(({ host }) => host), [
+            'api.anicrush.to',
+            'megacloud.blog',
+            'raw.githubusercontent.com'
+        ]);
+    });
+});
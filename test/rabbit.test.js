@@ -0,0 +1,108 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+const { main, getFakeWindow } = require('../sources/rabbit');
+
+const script = path.join(__dirname, '..', 'sources', 'rabbit.js');
+
+// A 1x1 PNG and the smallest valid WASM module, enough for rabbit.js to get up to running the WASM
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+const WASM = Buffer.from([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00]);
+
+// The empty WASM module never installs the player's plugin, so every run ends there
+const PLUGIN_MISSING = /jwt_plugin is not a function/;
+
+describe('rabbit.js', () => {
+    let server;
+    let port;
+    // Requested paths by host
+    let requests;
+
+    const embedUrl = (xrax, host = '127.0.0.1') => `http://${ host }:${ port }/embed-2/e-1/${ xrax }?k=1`;
+    const requestsOf = (host, pathname) => (requests[host] ?? []).filter(p => p.startsWith(pathname)).length;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const host = req.headers.host.split(':')[0];
+            (requests[host] ??= []).push(req.url);
+
+            if (req.url.startsWith('/images/image.png')) {
+                return res.writeHead(200, { 'Content-Type': 'image/png' }).end(PNG);
+            }
+            if (req.url.startsWith('/images/loading.png')) {
+                return res.writeHead(200, { 'Content-Type': 'image/png' }).end(WASM);
+            }
+            if (req.url.startsWith('/embed-2/')) {
+                return res.writeHead(200, { 'Content-Type': 'text/html' }).end('<meta name="j_crt" content="abc123">');
+            }
+            res.writeHead(404).end();
+        });
+        // Every 127.0.0.0/8 address reaches the server, each one standing in for another embed host
+        await new Promise(resolve => server.listen(0, resolve));
+        port = server.address().port;
+    });
+
+    beforeEach((t) => {
+        requests = {};
+        // The WASM failing to set the player up is logged
+        t.mock.method(console, 'error', () => {});
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('fetches the image and WASM of a host only once', async () => {
+        await assert.rejects(main(embedUrl('first'), 'https://example.com/'), PLUGIN_MISSING);
+        await assert.rejects(main(embedUrl('second'), 'https://example.com/'), PLUGIN_MISSING);
+
+        assert.equal(requestsOf('127.0.0.1', '/embed-2/'), 2);
+        assert.equal(requestsOf('127.0.0.1', '/images/image.png'), 1);
+        assert.equal(requestsOf('127.0.0.1', '/images/loading.png'), 1);
+    });
+
+    it('starts every run with a fresh fake window', async () => {
+        await assert.rejects(main(embedUrl('first', '127.0.0.2'), 'https://example.com/'), PLUGIN_MISSING);
+        const first = getFakeWindow();
+        assert.equal(first.xrax, 'first');
+        first.localStorage.setItem('kversion', 1);
+
+        await assert.rejects(main(embedUrl('second', '127.0.0.2'), 'https://example.com/'), PLUGIN_MISSING);
+        const second = getFakeWindow();
+        assert.notEqual(second, first);
+        assert.equal(second.xrax, 'second');
+        assert.equal(second.localStorage.kversion, undefined);
+    });
+
+    it('only keeps the assets of the most recently used hosts', async () => {
+        const hosts = Array.from({ length: 9 }, (_, i) => `127.0.1.${ i + 1 }`);
+        for (const host of hosts) {
+            await assert.rejects(main(embedUrl('xrax', host), 'https://example.com/'), PLUGIN_MISSING);
+        }
+
+        // The first host was evicted by the ninth, the last one is still cached
+        await assert.rejects(main(embedUrl('xrax', hosts[0]), 'https://example.com/'), PLUGIN_MISSING);
+        await assert.rejects(main(embedUrl('xrax', hosts[8]), 'https://example.com/'), PLUGIN_MISSING);
+        assert.equal(requestsOf(hosts[0], '/images/image.png'), 2);
+        assert.equal(requestsOf(hosts[0], '/images/loading.png'), 2);
+        assert.equal(requestsOf(hosts[8], '/images/image.png'), 1);
+        assert.equal(requestsOf(hosts[8], '/images/loading.png'), 1);
+    });
+
+    it('runs from the command line', async () => {
+        const run = (args) => new Promise(resolve => {
+            execFile(process.execPath, [script, ...args], { timeout: 30000 }, (error, stdout, stderr) => resolve({ code: error?.code ?? 0, stderr }));
+        });
+
+        const missing = await run(['--embed-url', embedUrl('cli')]);
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /Please provide referrer/);
+
+        const failed = await run(['--embed-url', embedUrl('cli', '127.0.0.3'), '--referrer', 'https://example.com/']);
+        assert.notEqual(failed.code, 0);
+        assert.match(failed.stderr, PLUGIN_MISSING);
+        assert.equal(requestsOf('127.0.0.3', '/embed-2/e-1/cli'), 1);
+    });
+});
@@ -0,0 +1,532 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockUpstream, XRAX, MOVIE_ID, LOCAL_KEY } = require('./mockUpstream');
+
+let upstream;
+let api;
+let apiUrl;
+let keyDirectory;
+
+const get = (route, options) => fetch(`${ apiUrl }${ route }`, options);
+
+const embedUrl = () => `${ upstream.baseUrl }/embed-2/v3/e-1/${ XRAX }?k=1`;
+
+// Makes rabbit.js extractions hang until their signal aborts, resolves with that signal once it does
+const mockHangingExtraction = (t, started) => {
+    const { rabbitPool } = require('../embedHandler');
+    const { TaskAbortedError } = require('../sources/workerPool');
+
+    return new Promise(resolve => {
+        t.mock.method(rabbitPool, 'run', (payload, { signal }) => new Promise((_, reject) => {
+            signal.addEventListener('abort', () => {
+                reject(new TaskAbortedError('Aborted'));
+                resolve(signal);
+            });
+            started();
+        }));
+    });
+};
+
+// Requests a route and goes away once its extraction started, resolves with the aborted extraction signal
+const disconnectDuringExtraction = async (t, route) => {
+    const client = new AbortController();
+    const aborted = mockHangingExtraction(t, () => client.abort());
+
+    await assert.rejects(get(route, { signal: client.signal }), { name: 'AbortError' });
+    return aborted;
+};
+
+before(async () => {
+    upstream = await startMockUpstream();
+    keyDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'anicrush-keys-'));
+
+    // Config is read when the server is first required, so the environment has to be in place before
+    Object.assign(process.env, {
+        ANICRUSH_API_URL: upstream.baseUrl,
+        ANICRUSH_SITE_URL: upstream.baseUrl,
+        MEGACLOUD_URL: upstream.baseUrl,
+        MC_API_URL: upstream.baseUrl,
+        ZENIME_URL: upstream.baseUrl,
+        MEGACLOUD_KEYS_URL: `${ upstream.baseUrl }/keys.json`,
+        MEGACLOUD_KEY_FILE: path.join(keyDirectory, 'megacloud.json'),
+        MEGACLOUD_KEY_HISTORY_FILE: path.join(keyDirectory, 'megacloud-history.json'),
+        ANICRUSH_RETRIES: '0',
+        // Keys are checked against the embed encrypted with LOCAL_KEY
+        KEY_VERIFY_SERVER: '6',
+        CACHE_STORE: 'memory',
+        API_KEY: 'test-api-key',
+        API_WRITE_KEY: 'test-write-key',
+        PROXY_SECRET: 'test-proxy-secret'
+    });
+
+    const app = require('../server');
+    // Provider keys are fetched in the background, as the server does on startup
+    await require('../sources/keyProviders').refreshProviderKeys();
+    api = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    apiUrl = `http://127.0.0.1:${ api.address().port }`;
+});
+
+after(async () => {
+    api.closeAllConnections?.();
+    await new Promise(resolve => api.close(resolve));
+    await upstream.close();
+    fs.rmSync(keyDirectory, { recursive: true, force: true });
+});
+
+describe('GET /api/anime/search', () => {
+    it('requires a keyword', async () => {
+        const res = await get('/api/anime/search');
+        assert.equal(res.status, 400);
+    });
+
+    it('returns the search results and serves repeats from the cache', async () => {
+        const first = await get('/api/anime/search?keyword=frieren');
+        const body = await first.json();
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('x-cache'), 'MISS');
+        assert.equal(body.result.movies[0].id, MOVIE_ID);
+
+        const upstreamCalls = upstream.requests.filter(p => p === '/shared/v2/movie/list').length;
+        const second = await get('/api/anime/search?keyword=frieren');
+        assert.equal(second.headers.get('x-cache'), 'HIT');
+        assert.match(second.headers.get('cache-control'), /max-age=\d+/);
+        assert.equal(upstream.requests.filter(p => p === '/shared/v2/movie/list').length, upstreamCalls);
+    });
+});
+
+describe('GET /api/anime/info/:movieId', () => {
+    it('returns the movie', async () => {
+        const res = await get(`/api/anime/info/${ MOVIE_ID }`);
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.result.id, MOVIE_ID);
+    });
+
+    it('passes an upstream 404 through', async () => {
+        const res = await get('/api/anime/info/unknown');
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('GET /api/anime/episodes', () => {
+    it('requires a movie id', async () => {
+        const res = await get('/api/anime/episodes');
+        assert.equal(res.status, 400);
+    });
+
+    it('returns the episode list', async () => {
+        const res = await get(`/api/anime/episodes?movieId=${ MOVIE_ID }`);
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.result['001-028'].length, 3);
+    });
+});
+
+describe('GET /api/anime/servers/:movieId', () => {
+    it('returns the servers of an episode', async () => {
+        const res = await get(`/api/anime/servers/${ MOVIE_ID }?episode=2`);
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.deepEqual(body.result.sub.map(s => s.server), [4, 1]);
+    });
+});
+
+describe('GET /api/anime/sources', () => {
+    it('returns the embed link', async () => {
+        const res = await get(`/api/anime/sources?movieId=${ MOVIE_ID }&episode=1`);
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.result.link, embedUrl());
+    });
+
+    it('reports a missing episode list', async () => {
+        const res = await get('/api/anime/sources?movieId=unknown');
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('GET /api/anime/hls/:movieId', () => {
+    it('reports a missing embed link', async () => {
+        const res = await get(`/api/anime/hls/${ MOVIE_ID }?server=9`);
+        assert.equal(res.status, 404);
+    });
+
+    it('reports a failed extraction', async () => {
+        const res = await get(`/api/anime/hls/${ MOVIE_ID }`);
+        const body = await res.json();
+        assert.equal(body.status, false);
+        assert.ok(body.error);
+        assert.equal(res.headers.get('cache-control'), 'no-store');
+    });
+
+    it('adds proxy URLs to the extracted sources', async (t) => {
+        const { rabbitPool } = require('../embedHandler');
+        t.mock.method(rabbitPool, 'run', async () => ({
+            sources: [{ file: `${ upstream.baseUrl }/hls/master.m3u8`, type: 'hls' }],
+            tracks: [{ file: `${ upstream.baseUrl }/subs/eng.vtt`, label: 'English', kind: 'captions' }],
+            t: 0,
+            server: 4
+        }));
+
+        const res = await get(`/api/anime/hls/${ MOVIE_ID }`);
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.ok(body.result.sources[0].proxy.startsWith(`${ apiUrl }/api/proxy/playlist?`));
+        assert.ok(body.result.tracks[0].proxy.startsWith(`${ apiUrl }/api/subtitles?`));
+        assert.equal(res.headers.get('cache-control'), 'private, no-store');
+        assert.equal(rabbitPool.run.mock.calls[0].arguments[1].signal.aborted, false);
+    });
+
+    it('asks to retry later while the extraction queue is full', async (t) => {
+        const { rabbitPool } = require('../embedHandler');
+        const { QueueFullError } = require('../sources/workerPool');
+        t.mock.method(rabbitPool, 'run', async () => {
+            throw new QueueFullError('All 2 workers are busy and 20 tasks are queued', { retryAfter: 30 });
+        });
+
+        const res = await get(`/api/anime/hls/${ MOVIE_ID }`);
+        const body = await res.json();
+        assert.equal(res.status, 503);
+        assert.equal(res.headers.get('retry-after'), '30');
+        assert.equal(res.headers.get('cache-control'), 'no-store');
+        assert.equal(body.error, 'Failed to fetch HLS link');
+    });
+
+    it('cancels the extraction once the client disconnects', async (t) => {
+        const signal = await disconnectDuringExtraction(t, `/api/anime/hls/${ MOVIE_ID }`);
+        assert.equal(signal.aborted, true);
+    });
+});
+
+describe('GET /api/anime/watch/:movieId', () => {
+    it('resolves an episode to playable streams', async () => {
+        const res = await get(`/api/anime/watch/${ MOVIE_ID }?episode=1`);
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.result.server, 4);
+        assert.equal(body.result.sources[0].file, `${ upstream.baseUrl }/hls/master.m3u8`);
+        assert.deepEqual(body.result.sources[0].qualities.map(q => q.quality), ['1080p', '720p']);
+        assert.ok(body.result.sources[0].proxy.startsWith(`${ apiUrl }/api/proxy/playlist?`));
+        assert.deepEqual(body.result.intro, { start: 0, end: 89 });
+        assert.equal(res.headers.get('cache-control'), 'private, no-store');
+    });
+
+    it('reports a missing episode', async () => {
+        const res = await get(`/api/anime/watch/${ MOVIE_ID }?episode=99`);
+        const body = await res.json();
+        assert.equal(res.status, 404);
+        assert.equal(body.error, 'Episode not found');
+    });
+
+    it('reports an unavailable server', async () => {
+        const res = await get(`/api/anime/watch/${ MOVIE_ID }?server=1&format=dub`);
+        const body = await res.json();
+        assert.equal(res.status, 404);
+        assert.equal(body.error, 'Server not available');
+        assert.deepEqual(body.availableServers, [4]);
+    });
+
+    it('reports a failed decryption', async () => {
+        const res = await get(`/api/anime/watch/${ MOVIE_ID }?server=1`);
+        const body = await res.json();
+        assert.equal(res.status, 502);
+        assert.equal(body.error, 'Decryption failed');
+        // The episode lookups before it were cacheable, the failure is not
+        assert.equal(res.headers.get('cache-control'), 'no-store');
+    });
+});
+
+describe('GET /api/anime/embed/convert', () => {
+    it('requires a host', async () => {
+        const res = await get(`/api/anime/embed/convert?embedUrl=${ encodeURIComponent(embedUrl()) }`);
+        assert.equal(res.status, 400);
+    });
+
+    it('reports a failed extraction', async () => {
+        const res = await get(`/api/anime/embed/convert?embedUrl=${ encodeURIComponent(embedUrl()) }&host=${ encodeURIComponent(upstream.baseUrl) }`);
+        const body = await res.json();
+        assert.equal(body.status, false);
+        assert.match(body.error, /^Could not convert from embedUrl to HLS link/);
+    });
+
+    it('asks to retry later while the extraction queue is full', async (t) => {
+        const { rabbitPool } = require('../embedHandler');
+        const { QueueFullError } = require('../sources/workerPool');
+        t.mock.method(rabbitPool, 'run', async () => {
+            throw new QueueFullError('All 2 workers are busy and 20 tasks are queued', { retryAfter: 30 });
+        });
+
+        const res = await get(`/api/anime/embed/convert?embedUrl=${ encodeURIComponent(embedUrl()) }&host=${ encodeURIComponent(upstream.baseUrl) }`);
+        const body = await res.json();
+        assert.equal(res.status, 503);
+        assert.equal(res.headers.get('retry-after'), '30');
+        assert.equal(res.headers.get('cache-control'), 'no-store');
+        assert.equal(body.error, 'Failed to fetch HLS link');
+    });
+
+    it('cancels the extraction once the client disconnects', async (t) => {
+        const signal = await disconnectDuringExtraction(t, `/api/anime/embed/convert?embedUrl=${ encodeURIComponent(embedUrl()) }&host=${ encodeURIComponent(upstream.baseUrl) }`);
+        assert.equal(signal.aborted, true);
+    });
+});
+
+describe('GET /api/anime/embed/convert/v2', () => {
+    it('requires an embed url', async () => {
+        const res = await get('/api/anime/embed/convert/v2');
+        assert.equal(res.status, 400);
+    });
+
+    it('decrypts the sources of an embed', async () => {
+        const res = await get(`/api/anime/embed/convert/v2?embedUrl=${ encodeURIComponent(embedUrl()) }`);
+        const body = await res.json();
+        assert.equal(body.status, true);
+        assert.equal(body.result.sources[0].type, 'hls');
+        assert.equal(body.result.tracks[0].label, 'English');
+        assert.deepEqual(body.debug, { nonceExtractor: 'meta_gg_fb' });
+        assert.equal(body.result.decryptedBy, null);
+        assert.ok(body.result.tracks[0].proxy.startsWith(`${ apiUrl }/api/subtitles?`));
+        assert.equal(res.headers.get('cache-control'), 'private, no-store');
+    });
+
+    it('returns the playlist of the requested quality through the proxy', async () => {
+        const res = await get(`/api/anime/embed/convert/v2?embedUrl=${ encodeURIComponent(embedUrl()) }&quality=720p`);
+        const body = await res.text();
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /mpegurl/);
+        assert.equal(res.headers.get('cache-control'), 'private, no-store');
+
+        const uris = [
+            ...body.split('\n').filter(line => line && !line.startsWith('#')),
+            ...[...body.matchAll(/URI="([^"]+)"/g)].map(match => match[1])
+        ];
+        assert.ok(uris.length > 1);
+        assert.ok(uris.every(uri => uri.startsWith(`${ apiUrl }/api/proxy/segment?`)), uris.join('\n'));
+        assert.ok(!body.includes(upstream.baseUrl));
+
+        const segment = await get(uris.find(uri => uri.includes(encodeURIComponent('/hls/720/seg-0.ts'))).slice(apiUrl.length));
+        assert.equal(await segment.text(), 'segment-0-720-payload');
+    });
+
+    it('returns the playlist of the requested quality with absolute URIs without a proxy secret', async (t) => {
+        const secret = process.env.PROXY_SECRET;
+        process.env.PROXY_SECRET = '';
+        t.after(() => {
+            process.env.PROXY_SECRET = secret;
+        });
+
+        const res = await get(`/api/anime/embed/convert/v2?embedUrl=${ encodeURIComponent(embedUrl()) }&quality=720p`);
+        const body = await res.text();
+        assert.equal(res.status, 200);
+        assert.ok(body.includes(`${ upstream.baseUrl }/hls/720/seg-0.ts`));
+        assert.ok(body.includes(`URI="${ upstream.baseUrl }/hls/key.bin"`));
+    });
+
+    it('lists the qualities when the requested one is missing', async () => {
+        const res = await get(`/api/anime/embed/convert/v2?embedUrl=${ encodeURIComponent(embedUrl()) }&quality=2160p`);
+        const body = await res.json();
+        assert.equal(res.status, 404);
+        assert.deepEqual(body.availableQualities, ['1080p', '720p']);
+    });
+});
+
+describe('proxy', () => {
+    const getProxiedSource = async () => {
+        const res = await get(`/api/anime/embed/convert/v2?embedUrl=${ encodeURIComponent(embedUrl()) }`);
+        const body = await res.json();
+        return body.result;
+    };
+
+    it('rewrites playlists and relays segments with Range support', async () => {
+        const { sources } = await getProxiedSource();
+
+        const master = await (await fetch(sources[0].proxy)).text();
+        const variant = master.split('\n').find(line => line.startsWith('/api/proxy/playlist?'));
+        assert.ok(variant);
+
+        const media = await (await get(variant)).text();
+        const segment = media.split('\n').find(line => line.startsWith('/api/proxy/segment?'));
+        assert.match(media, /URI="\/api\/proxy\/segment\?/);
+
+        const res = await get(segment, { headers: { Range: 'bytes=0-6' } });
+        assert.equal(res.status, 206);
+        assert.equal(await res.text(), 'segment');
+    });
+
+    it('rejects tampered links', async () => {
+        const { sources } = await getProxiedSource();
+        const tampered = new URL(sources[0].proxy);
+        tampered.searchParams.set('url', `${ upstream.baseUrl }/keys.json`);
+
+        const res = await fetch(tampered);
+        assert.equal(res.status, 403);
+    });
+
+    it('refuses to relay without a proxy secret', async (t) => {
+        const { sources } = await getProxiedSource();
+        const secret = process.env.PROXY_SECRET;
+        process.env.PROXY_SECRET = '';
+        t.after(() => {
+            process.env.PROXY_SECRET = secret;
+        });
+
+        const res = await fetch(sources[0].proxy);
+        assert.equal(res.status, 500);
+    });
+
+    it('converts caption tracks', async () => {
+        const { tracks } = await getProxiedSource();
+
+        const res = await fetch(`${ tracks[0].proxy }&format=srt&offset=-1`);
+        const body = await res.text();
+        assert.equal(res.status, 200);
+        assert.ok(body.startsWith('1\n00:00:00,000 --> 00:00:02,500\n<i>Long ago</i>'));
+        assert.ok(body.includes('Frieren & Himmel'));
+    });
+});
+
+describe('/api/write/key', () => {
+    const auth = { Authorization: 'Bearer test-write-key' };
+
+    it('requires the write key', async () => {
+        const res = await get(`/api/write/key?key=${ LOCAL_KEY }`);
+        assert.equal(res.status, 401);
+    });
+
+    it('rejects keys that do not decrypt the reference embed', async () => {
+        const res = await get('/api/write/key?key=broken-key', { headers: auth });
+        const body = await res.json();
+        assert.equal(res.status, 422);
+        assert.equal(body.verification.ok, false);
+        assert.equal(body.verification.nonceExtractor, 'meta_gg_fb');
+        assert.match(body.verification.error, /did not decrypt/);
+    });
+
+    it('accepts JSON bodies', async () => {
+        const missing = await get('/api/write/key', { method: 'POST', headers: { ...auth, 'Content-Type': 'application/json' }, body: '{}' });
+        assert.equal(missing.status, 400);
+
+        const res = await get('/api/write/key', {
+            method: 'POST',
+            headers: { ...auth, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key: 'another-broken-key', source: 'test' })
+        });
+        assert.equal(res.status, 422);
+    });
+
+    it('writes a verified key and serves it from /api/key', async () => {
+        // Concurrent writes are rate limited too, only one of them gets to verify
+        const responses = await Promise.all([1, 2].map(() => get(`/api/write/key?key=${ LOCAL_KEY }`, { headers: auth })));
+        assert.deepEqual(responses.map(r => r.status).sort(), [200, 429]);
+
+        const res = responses.find(r => r.status === 200);
+        const body = await res.json();
+        assert.equal(body.result.verification.ok, true);
+        assert.equal(body.result.verification.sources, 1);
+
+        const key = await get('/api/key');
+        assert.deepEqual(await key.json(), { megacloud: LOCAL_KEY });
+    });
+
+    it('rate limits writes', async () => {
+        const res = await get('/api/write/key?key=another-key', { headers: auth });
+        assert.equal(res.status, 429);
+    });
+});
+
+// Runs after /api/write/key, the reference embed only decrypts with the written key
+describe('HEAD /api/verify/keys', () => {
+    it('requires the api key', async () => {
+        const res = await get('/api/verify/keys', { method: 'HEAD' });
+        assert.equal(res.status, 401);
+    });
+
+    it('verifies decryption of the reference embed', async () => {
+        const res = await get('/api/verify/keys', { method: 'HEAD', headers: { Authorization: 'Bearer test-api-key' } });
+        assert.equal(res.status, 200);
+    });
+});
+
+describe('key history', () => {
+    const auth = { Authorization: 'Bearer test-write-key' };
+
+    it('requires the write key', async () => {
+        const res = await get('/api/admin/keys/history', { headers: { Authorization: 'Bearer test-api-key' } });
+        assert.equal(res.status, 401);
+    });
+
+    it('lists the written keys', async () => {
+        const res = await get('/api/admin/keys/history', { headers: auth });
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.result.length, 1);
+        assert.equal(body.result[0].key, LOCAL_KEY);
+        assert.equal(body.result[0].source, 'api');
+        assert.equal(body.result[0].verification.ok, true);
+    });
+
+    it('rolls back to an earlier key', async () => {
+        const res = await get('/api/admin/keys/rollback/1', { method: 'POST', headers: auth });
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.result.id, 2);
+        assert.equal(body.result.rollbackOf, 1);
+
+        const key = await get('/api/key');
+        assert.deepEqual(await key.json(), { megacloud: LOCAL_KEY });
+    });
+
+    it('reports unknown entries', async () => {
+        const res = await get('/api/admin/keys/rollback/99', { method: 'POST', headers: auth });
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('GET /api/admin/keys/providers', () => {
+    it('lists the providers and how their last fetch went', async () => {
+        const res = await get('/api/admin/keys/providers', { headers: { Authorization: 'Bearer test-write-key' } });
+        const body = await res.json();
+        assert.equal(res.status, 200);
+
+        const yogesh = body.result.find(provider => provider.name === 'yogesh');
+        assert.equal(yogesh.url, `${ upstream.baseUrl }/keys.json`);
+        assert.equal(yogesh.enabled, true);
+        assert.equal(yogesh.status.ok, true);
+        assert.ok(yogesh.status.lastSuccessAt);
+        assert.equal(body.result.find(provider => provider.name === 'lunar').enabled, false);
+    });
+});
+
+describe('GET /api/admin/keys/stats', () => {
+    it('reports how every key fared', async () => {
+        const res = await get('/api/admin/keys/stats', { headers: { Authorization: 'Bearer test-write-key' } });
+        const body = await res.json();
+        assert.equal(res.status, 200);
+
+        const local = body.result.find(stats => stats.name === 'megacloud');
+        assert.ok(local.successes >= 1);
+        assert.ok(local.lastSuccessAt);
+        assert.ok(!('key' in local));
+
+        const remote = body.result.find(stats => stats.name === 'yogesh');
+        assert.equal(remote.successes, 0);
+        assert.ok(remote.failures >= 1);
+    });
+});
+
+describe('GET /api/admin/decrypt/stats', () => {
+    it('reports how every decryption strategy fared', async () => {
+        const res = await get('/api/admin/decrypt/stats', { headers: { Authorization: 'Bearer test-write-key' } });
+        const body = await res.json();
+        assert.equal(res.status, 200);
+
+        assert.ok(body.result.local.wins >= 1);
+        assert.equal(body.result.local.latency.count, body.result.local.successes);
+        assert.equal(body.result.mcapi.successes, 0);
+        assert.ok(body.result.mcapi.failures >= 1);
+    });
+});
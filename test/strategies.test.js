@@ -0,0 +1,128 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerStrategy, getStrategies, decryptWithStrategies } = require('../sources/strategies');
+const { decryptMetrics } = require('../sources/decryptMetrics');
+
+const EMBED_URL = 'https://megacloud.test/embed-2/v3/e-1/Wl3xLmZpYWtr?k=1';
+const SOURCES = [{ file: 'https://cdn.test/master.m3u8', type: 'hls' }];
+
+const calls = [];
+const aborted = [];
+
+const fakeStrategy = (name, behaviour) => ({
+    name,
+    hosts: [],
+    canHandle: (embedUrl) => !embedUrl.includes('unsupported'),
+    async decrypt({ signal }) {
+        calls.push(name);
+        signal.addEventListener('abort', () => aborted.push(name));
+        return behaviour();
+    }
+});
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+before(() => {
+    registerStrategy(fakeStrategy('fast', () => delay(5, SOURCES)));
+    registerStrategy(fakeStrategy('slow', () => delay(50, SOURCES)));
+    registerStrategy(fakeStrategy('failing', async () => { throw new Error('Upstream down'); }));
+    registerStrategy(fakeStrategy('malformed', async () => [{ file: 'http://cdn.test/master.m3u8' }]));
+    registerStrategy(fakeStrategy('hanging', () => new Promise(() => {})));
+});
+
+const run = (options) => {
+    calls.length = 0;
+    aborted.length = 0;
+    return decryptWithStrategies({ embedUrl: EMBED_URL, encrypted: 'x', nonce: 'y' }, { timeout: 1000, timeouts: {}, ...options });
+};
+
+describe('getStrategies', () => {
+    it('ships the local, mcapi and zenime strategies', () => {
+        assert.deepEqual(getStrategies(EMBED_URL, { mode: 'race', order: ['local', 'mcapi', 'zenime'] }).map(s => s.name), ['local', 'mcapi', 'zenime']);
+    });
+
+    it('only uses the local keys in local-only mode', () => {
+        assert.deepEqual(getStrategies(EMBED_URL, { mode: 'local-only', order: ['mcapi', 'zenime'] }).map(s => s.name), ['local']);
+    });
+
+    it('only uses strategies without third-party hosts in privacy mode', () => {
+        const order = ['local', 'mcapi', 'zenime'];
+        assert.deepEqual(getStrategies(EMBED_URL, { mode: 'race', order, privacy: true }).map(s => s.name), ['local']);
+        assert.deepEqual(getStrategies(EMBED_URL, { mode: 'sequential', order, privacy: true }).map(s => s.name), ['local']);
+    });
+
+    it('leaves out strategies that are turned off', () => {
+        const order = ['local', 'mcapi', 'zenime'];
+        assert.deepEqual(getStrategies(EMBED_URL, { mode: 'race', order, enabled: { mcapi: false } }).map(s => s.name), ['local', 'zenime']);
+    });
+
+    it('leaves out strategies that cannot handle the embed', () => {
+        assert.deepEqual(getStrategies('https://megacloud.test/e/unsupported', { mode: 'race', order: ['fast'] }), []);
+    });
+
+    it('rejects unknown modes and strategies', () => {
+        assert.throws(() => getStrategies(EMBED_URL, { mode: 'parallel', order: [] }), /Unknown decryption mode/);
+        assert.throws(() => getStrategies(EMBED_URL, { mode: 'race', order: ['rabbit'] }), /Unknown decryption strategy/);
+    });
+
+    it('rejects duplicate and incomplete strategies', () => {
+        assert.throws(() => registerStrategy(fakeStrategy('fast')), /already registered/);
+        assert.throws(() => registerStrategy({ name: 'incomplete' }), /needs a name, hosts, canHandle and decrypt/);
+    });
+});
+
+describe('decryptWithStrategies', () => {
+    it('reports the strategy that won the race and aborts the others', async () => {
+        const result = await run({ mode: 'race', order: ['slow', 'failing', 'fast'] });
+        assert.deepEqual(result, { sources: SOURCES, strategy: 'fast' });
+        assert.deepEqual(calls, ['slow', 'failing', 'fast']);
+        assert.ok(aborted.includes('slow'));
+
+        // Losers record their abort after the winner returned
+        await delay(1);
+        const { fast, slow } = decryptMetrics.snapshot();
+        assert.deepEqual([fast.successes, fast.wins], [1, 1]);
+        assert.deepEqual([slow.aborted, slow.wins], [1, 0]);
+    });
+
+    it('tries strategies one after the other in sequential mode', async () => {
+        const result = await run({ mode: 'sequential', order: ['failing', 'malformed', 'slow', 'fast'] });
+        assert.deepEqual(result, { sources: SOURCES, strategy: 'slow' });
+        assert.deepEqual(calls, ['failing', 'malformed', 'slow']);
+    });
+
+    it('gives up on a strategy once it times out', async () => {
+        const result = await run({ mode: 'sequential', order: ['hanging', 'fast'], timeouts: { hanging: 20 } });
+        assert.equal(result.strategy, 'fast');
+        assert.ok(aborted.includes('hanging'));
+    });
+
+    it('reports why every strategy failed', async () => {
+        await assert.rejects(
+            run({ mode: 'race', order: ['failing', 'malformed', 'hanging'], timeouts: { hanging: 20 } }),
+            error => {
+                assert.match(error.message, /failing: Upstream down/);
+                assert.match(error.message, /malformed: .*malformed source/);
+                assert.match(error.message, /hanging: Timed out after 20ms/);
+                return true;
+            }
+        );
+    });
+});
+
+describe('zenime', () => {
+    it('aborts its request with the strategy', async (t) => {
+        const zenime = require('../sources/strategies/zenime');
+        const controller = new AbortController();
+        t.mock.method(globalThis, 'fetch', (url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        }));
+        t.mock.method(console, 'log', () => {});
+
+        const decrypting = zenime.decrypt({ embedUrl: EMBED_URL, signal: controller.signal });
+        controller.abort();
+
+        await assert.rejects(decrypting, { message: 'Zenime returned no sources' });
+        assert.equal(globalThis.fetch.mock.calls[0].arguments[1].signal, controller.signal);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { parseVtt, shiftCues, toVtt, toSrt, toAss, getSubtitle } = require('../subtitles');
+
+const VTT = `WEBVTT
+
+NOTE Not a cue
+
+1
+00:01.500 --> 00:03.000
+<i>Long ago</i>
+the hero's party
+
+00:00:04,000 --> 00:00:06,250 align:start
+Frieren &amp; Himmel
+`;
+
+describe('parseVtt', () => {
+    it('parses timestamps with and without hours and multi-line cues', () => {
+        assert.deepEqual(parseVtt(VTT), [
+            { start: 1500, end: 3000, text: '<i>Long ago</i>\nthe hero\'s party' },
+            { start: 4000, end: 6250, text: 'Frieren &amp; Himmel' }
+        ]);
+    });
+
+    it('handles CRLF line endings and a BOM', () => {
+        const cues = parseVtt(`\uFEFFWEBVTT\r\n\r\n01:02:03.4 --> 01:02:05.000\r\nLine\r\n`);
+        assert.deepEqual(cues, [{ start: 3723400, end: 3725000, text: 'Line' }]);
+    });
+});
+
+describe('shiftCues', () => {
+    const cues = parseVtt(VTT);
+
+    it('clamps shifted starts at 0 and drops cues ending before it', () => {
+        assert.deepEqual(shiftCues(cues, -2000).map(({ start, end }) => [start, end]), [[0, 1000], [2000, 4250]]);
+        assert.deepEqual(shiftCues(cues, -3000).map(({ start, end }) => [start, end]), [[1000, 3250]]);
+    });
+
+    it('moves cues forward', () => {
+        assert.deepEqual(shiftCues(cues, 500).map(({ start }) => start), [2000, 4500]);
+    });
+});
+
+describe('serializers', () => {
+    const cues = parseVtt(VTT);
+
+    it('writes WebVTT', () => {
+        assert.ok(toVtt(cues).startsWith('WEBVTT\n\n00:00:01.500 --> 00:00:03.000\n<i>Long ago</i>\nthe hero\'s party\n\n'));
+    });
+
+    it('writes SRT with comma timestamps and unescaped entities', () => {
+        assert.equal(toSrt(cues), [
+            '1\n00:00:01,500 --> 00:00:03,000\n<i>Long ago</i>\nthe hero\'s party',
+            '2\n00:00:04,000 --> 00:00:06,250\nFrieren & Himmel\n'
+        ].join('\n\n'));
+    });
+
+    it('writes ASS with override tags and line breaks', () => {
+        const events = toAss(cues).split('\n').filter(line => line.startsWith('Dialogue:'));
+        assert.deepEqual(events, [
+            'Dialogue: 0,0:00:01.50,0:00:03.00,Default,,0,0,0,,{\\i1}Long ago{\\i0}\\Nthe hero\'s party',
+            'Dialogue: 0,0:00:04.00,0:00:06.25,Default,,0,0,0,,Frieren & Himmel'
+        ]);
+    });
+});
+
+describe('getSubtitle', () => {
+    let server;
+    let baseUrl;
+    const hits = new Map();
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            hits.set(req.url, (hits.get(req.url) ?? 0) + 1);
+            res.end(VTT);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${ server.address().port }`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('converts and shifts a track', async () => {
+        const { contentType, body } = await getSubtitle(`${ baseUrl }/convert.vtt`, { format: 'srt', offset: -1 });
+        assert.equal(contentType, 'application/x-subrip; charset=utf-8');
+        assert.ok(body.startsWith('1\n00:00:00,500 --> 00:00:02,000\n'));
+    });
+
+    it('rejects unknown formats', async () => {
+        await assert.rejects(getSubtitle(`${ baseUrl }/convert.vtt`, { format: 'sub' }), /Unsupported subtitle format/);
+    });
+
+    it('caches parsed tracks and evicts the oldest beyond 500 entries', async () => {
+        const url = (i) => `${ baseUrl }/track-${ i }.vtt`;
+
+        for (let i = 0; i <= 500; i++) {
+            await getSubtitle(url(i));
+        }
+        await getSubtitle(url(500));
+        assert.equal(hits.get('/track-500.vtt'), 1);
+
+        // track-0 was the oldest entry once track-500 came in
+        await getSubtitle(url(0));
+        assert.equal(hits.get('/track-0.vtt'), 2);
+        await getSubtitle(url(2));
+        assert.equal(hits.get('/track-2.vtt'), 1);
+    });
+});
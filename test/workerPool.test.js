@@ -0,0 +1,128 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { WorkerPool, QueueFullError, TaskFailedError, TaskTimeoutError, TaskAbortedError } = require('../sources/workerPool');
+
+const script = path.join(__dirname, 'fixtures', 'workers', 'echoWorker.js');
+
+let pool;
+
+afterEach(async () => {
+    await pool?.destroy();
+});
+
+describe('WorkerPool', () => {
+    it('returns the results of the worker', async () => {
+        pool = new WorkerPool({ script, size: 2 });
+        const results = await Promise.all([1, 2, 3].map(value => pool.run({ value })));
+        assert.deepEqual(results.map(result => result.value), [1, 2, 3]);
+    });
+
+    it('runs no more tasks at once than it has workers', async () => {
+        pool = new WorkerPool({ script, size: 2 });
+        const running = [1, 2, 3].map(value => pool.run({ value, delay: 50 }));
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.deepEqual(pool.stats(), { size: 2, workers: 2, busy: 2, queued: 1 });
+
+        const results = await Promise.all(running);
+        // The queued task reuses one of the two workers
+        assert.equal(new Set(results.map(result => result.threadId)).size, 2);
+        assert.deepEqual(pool.stats(), { size: 2, workers: 2, busy: 0, queued: 0 });
+    });
+
+    it('rejects with the error the worker reported', async () => {
+        pool = new WorkerPool({ script });
+        await assert.rejects(pool.run({ fail: 'No sources' }), error => error instanceof TaskFailedError && error.message === 'No sources');
+        assert.equal((await pool.run({ value: 1 })).value, 1);
+    });
+
+    it('replaces a worker that crashed', async () => {
+        pool = new WorkerPool({ script });
+        const crashed = pool.run({ crash: true });
+        const queued = pool.run({ value: 'after' });
+
+        await assert.rejects(crashed, error => error instanceof TaskFailedError && error.name === 'TaskFailedError' && error.message === 'Worker exited with code 1');
+        assert.equal((await queued).value, 'after');
+    });
+
+    it('terminates the worker of a task that timed out', async () => {
+        pool = new WorkerPool({ script, timeout: 50 });
+        // Booting the worker is not timed, a slow machine may still take a while to get the first answer out
+        const { threadId } = await pool.run({ value: 1 }, { timeout: 10000 });
+
+        await assert.rejects(pool.run({ value: 2, delay: 1000 }), TaskTimeoutError);
+        assert.notEqual((await pool.run({ value: 3 })).threadId, threadId);
+    });
+
+    it('terminates a worker that never comes online', async () => {
+        let terminated = false;
+        // A worker stuck booting, it never emits 'online' nor answers
+        class StuckPool extends WorkerPool {
+            spawn() {
+                const worker = Object.assign(new EventEmitter(), {
+                    ref() {},
+                    unref() {},
+                    postMessage() {},
+                    terminate: async () => {
+                        terminated = true;
+                    }
+                });
+                const slot = { worker, task: null, online: false };
+                this.slots.push(slot);
+                return slot;
+            }
+        }
+
+        pool = new StuckPool({ script, timeout: 50 });
+        await assert.rejects(pool.run({ value: 1 }), { name: 'TaskTimeoutError', message: 'Worker did not start within 50ms' });
+        assert.ok(terminated);
+        assert.equal(pool.stats().workers, 0);
+    });
+
+    it('drops an aborted task from the queue', async () => {
+        pool = new WorkerPool({ script });
+        const controller = new AbortController();
+        const running = pool.run({ value: 1, delay: 50 });
+        const queued = pool.run({ value: 2 }, { signal: controller.signal });
+
+        controller.abort();
+        await assert.rejects(queued, TaskAbortedError);
+        assert.equal(pool.stats().queued, 0);
+        assert.equal((await running).value, 1);
+    });
+
+    it('terminates the worker of an aborted task', async () => {
+        pool = new WorkerPool({ script });
+        const controller = new AbortController();
+        const running = pool.run({ value: 1, delay: 1000 }, { signal: controller.signal });
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        controller.abort();
+        await assert.rejects(running, TaskAbortedError);
+        assert.deepEqual(pool.stats(), { size: 1, workers: 0, busy: 0, queued: 0 });
+    });
+
+    it('turns tasks away once the queue is full', async () => {
+        pool = new WorkerPool({ script, timeout: 5000, maxQueue: 1 });
+        const running = pool.run({ value: 1, delay: 50 });
+        const queued = pool.run({ value: 2 });
+
+        await assert.rejects(pool.run({ value: 3 }), (error) => {
+            assert.ok(error instanceof QueueFullError);
+            assert.equal(error.retryAfter, 5);
+            return true;
+        });
+        assert.deepEqual((await Promise.all([running, queued])).map(result => result.value), [1, 2]);
+    });
+
+    it('accepts tasks a worker can take right away without a queue', async () => {
+        pool = new WorkerPool({ script, size: 2, maxQueue: 0 });
+        const running = [1, 2].map(value => pool.run({ value, delay: 50 }));
+
+        await assert.rejects(pool.run({ value: 3 }), QueueFullError);
+        assert.deepEqual((await Promise.all(running)).map(result => result.value), [1, 2]);
+        assert.equal((await pool.run({ value: 4 })).value, 4);
+    });
+});